@@ -3,85 +3,1014 @@
  * 
  * This module provides helper functions for making authenticated
  * API calls to SideDrawer after OAuth authentication is complete.
+ *
+ * Loaded as a classic <script> in the widget pages, and as a CommonJS module in Node
+ * (sidedrawer-api.mjs wraps it for ESM).
  */
 
+// Session blob written by SideDrawerAuth.saveTokens in widget.html
+const SD_SESSION_KEY = 'sdSession';
+
+// Must match the lock name SideDrawerAuth.refreshAccessToken uses, so a refresh started here
+// and one started by the widget (or another tab) can never run at the same time.
+const TOKEN_REFRESH_LOCK = 'sidedrawer_token_refresh';
+
+const OAUTH_SCOPE = 'openid profile email offline_access';
+
+// Paths that take the selected tenant as `tenantId`/`brandCode` query parameters, next to their
+// other filters: the list, search and create endpoints of tenant-owned collections, and the
+// account reads the tenant wizards make. Item URLs, upload steps and the tenants gateway are
+// never scoped.
+const TENANT_SCOPED_PATHS = [
+  /^\/(documents|clients|folders|activity|search)$/,
+  /^\/me$/,
+  /^\/accounts\//
+];
+
+// Auth0 tenant + API audience per environment. Every env-dependent decision in widget.html and
+// SideDrawerAPI reads from this map, so adding an environment means adding one entry here
+// (and one to API_HOSTS).
+const AUTH_ENVIRONMENTS = {
+  production:  { auth: 'https://auth.sidedrawer.com',        audience: 'https://user-api.sidedrawer.com' },
+  sandbox:     { auth: 'https://auth-sbx.sidedrawersbx.com', audience: 'https://user-api-sbx.sidedrawersbx.com' },
+  // Dev authenticates against the staging accounts tenant, which deliberately does NOT
+  // follow the -dev.sidedrawerdev.com pattern the API hosts use.
+  development: { auth: 'https://acc-stg.sidedrawer.com',     audience: 'https://user-api-stg.sidedrawer.com' }
+};
+
+// API hosts per environment. Previously each call site did
+// `OAUTH_CONFIG.audience.includes('sbx') ? sbx : prod` — a binary test that sends every
+// non-sbx environment (including development, whose audience is user-api-stg) to PRODUCTION.
+const API_HOSTS = {
+  production:  { api: 'https://api.sidedrawer.com',        tenants: 'https://tenants-gateway-api.sidedrawer.com',        userApi: 'https://user-api.sidedrawer.com',        console: 'https://console.sidedrawer.com' },
+  sandbox:     { api: 'https://api-sbx.sidedrawersbx.com', tenants: 'https://tenants-gateway-api-sbx.sidedrawersbx.com', userApi: 'https://user-api-sbx.sidedrawersbx.com', console: 'https://console-sbx.sidedrawersbx.com' },
+  development: { api: 'https://api-dev.sidedrawerdev.com', tenants: 'https://tenants-gateway-api-dev.sidedrawerdev.com', userApi: 'https://user-api-dev.sidedrawerdev.com', console: 'https://console-dev.sidedrawerdev.com' }
+};
+
+// Detect environment from a JWT's iss claim — independent of URL params or Zoho config.
+// The widget treats this as authoritative over its URL params, so it must know about every
+// environment — a token it cannot place is sent to the wrong Auth0 tenant on refresh.
+function detectEnvFromJWT(token) {
+  try {
+    const b64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const payload = JSON.parse(atob(b64));
+    const iss = payload.iss || '';
+    if (!iss) return null;
+    // Compare HOSTNAMES exactly, not substrings — several environments share the
+    // sidedrawer.com domain (acc-stg.sidedrawer.com vs auth.sidedrawer.com), so a
+    // substring test would mis-file tokens. Adding an entry to AUTH_ENVIRONMENTS is
+    // enough to teach this function a new environment.
+    let issHost = '';
+    try { issHost = new URL(iss).hostname; } catch (e) { issHost = ''; }
+    if (issHost) {
+      for (const [env, cfg] of Object.entries(AUTH_ENVIRONMENTS)) {
+        try {
+          if (issHost === new URL(cfg.auth).hostname) return env;
+        } catch (e) { /* skip a malformed entry rather than failing detection */ }
+      }
+    }
+    // Legacy fallback for issuers that don't match a configured host.
+    return iss.includes('sbx') ? 'sandbox' : 'production';
+  } catch (e) {
+    return null;
+  }
+}
+
+// Files larger than this go through the chunked upload endpoints
+const CHUNKED_UPLOAD_THRESHOLD = 10 * 1024 * 1024;
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+// Resume state for interrupted chunked uploads, one key per user, tenant and file. The
+// 'sidedrawer' prefix means SideDrawerAuth.disconnect() wipes these along with everything else.
+const UPLOAD_STATE_PREFIX = 'sidedrawer_upload_';
+
+/**
+ * Session store backed by localStorage — the `sdSession` blob.
+ *
+ * Every session store has the same four methods: get() returns the session object
+ * ({ accessToken, expiresAt, refreshToken, clientId, env, ... }) or null, set(session)
+ * replaces it, clear() removes it, and subscribe(listener) calls listener(session) on every
+ * change and returns an unsubscribe function. SideDrawerAuth and SideDrawerAPI both go
+ * through one, which is what keeps the widget and the API client agreeing on who is logged in.
+ */
+class LocalStorageSessionStore {
+  /**
+   * @param {string} key - localStorage key (default 'sdSession')
+   * @param {Storage} [storage] - Storage backend (default window.localStorage)
+   */
+  constructor(key = SD_SESSION_KEY, storage = null) {
+    this.key = key;
+    this.storage = storage;
+    this.listeners = new Set();
+    this._onStorageEvent = (event) => {
+      if (event.key === this.key || event.key === null) {
+        this.notify(this.get());
+      }
+    };
+  }
+
+  getStorage() {
+    return this.storage || localStorage;
+  }
+
+  get() {
+    try {
+      const raw = this.getStorage().getItem(this.key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  set(session) {
+    this.getStorage().setItem(this.key, JSON.stringify(session));
+    this.notify(session);
+  }
+
+  clear() {
+    this.getStorage().removeItem(this.key);
+    this.notify(null);
+  }
+
+  /**
+   * Listen for session changes, including ones made by other tabs on this origin
+   * @param {function} listener - Called with the new session (null when cleared)
+   * @returns {function} Unsubscribe
+   */
+  subscribe(listener) {
+    if (this.listeners.size === 0 && typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('storage', this._onStorageEvent);
+    }
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0 && typeof window !== 'undefined' && window.removeEventListener) {
+        window.removeEventListener('storage', this._onStorageEvent);
+      }
+    };
+  }
+
+  notify(session) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(session);
+      } catch (e) {
+        console.error('Session listener error:', e);
+      }
+    });
+  }
+}
+
+/**
+ * Session store that lives only as long as the page (or process). Same interface as
+ * LocalStorageSessionStore; useful where there is no localStorage or nothing should persist.
+ */
+class MemorySessionStore {
+  constructor(session = null) {
+    this.session = session;
+    this.listeners = new Set();
+  }
+
+  get() {
+    return this.session;
+  }
+
+  set(session) {
+    this.session = session;
+    this.notify(session);
+  }
+
+  clear() {
+    this.session = null;
+    this.notify(null);
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(session) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(session);
+      } catch (e) {
+        console.error('Session listener error:', e);
+      }
+    });
+  }
+}
+
+/**
+ * Base class for every error the API client throws.
+ *
+ * Carries what a caller needs to react without parsing message strings: the HTTP `status`
+ * (null when no response arrived), the parsed response `body`, the server's `requestId`, and
+ * the `endpoint` that failed. `userMessage` is a sentence fit for showing in the UI.
+ */
+class SideDrawerAPIError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = details.status ?? null;
+    this.body = details.body ?? null;
+    this.requestId = details.requestId ?? null;
+    this.endpoint = details.endpoint ?? null;
+    // Milliseconds the server asked us to wait (Retry-After), or null if it did not say
+    this.retryAfter = details.retryAfter ?? null;
+    if (details.cause) this.cause = details.cause;
+  }
+
+  get userMessage() {
+    return this.withRequestId(this.message);
+  }
+
+  withRequestId(text) {
+    return this.requestId ? `${text} (Request ID: ${this.requestId})` : text;
+  }
+
+  /**
+   * Build the right subclass for a failed response
+   * @param {Response} response - A response with !response.ok
+   * @param {string} endpoint - The URL or endpoint that was called
+   * @param {string} [fallbackMessage] - Used when the body has no message of its own
+   */
+  static async fromResponse(response, endpoint, fallbackMessage) {
+    const text = await response.text().catch(() => '');
+    let body = null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch (e) {
+      body = text;
+    }
+
+    const bodyMessage = body && typeof body === 'object'
+      ? [body.message, body.error_description, body.error].find(m => typeof m === 'string' && m)
+      : null;
+    const details = {
+      status: response.status,
+      body,
+      endpoint,
+      requestId: (response.headers && (response.headers.get('x-request-id') || response.headers.get('x-correlation-id'))) ||
+        (body && typeof body === 'object' && body.requestId) || null,
+      retryAfter: parseRetryAfter(response)
+    };
+    const message = bodyMessage || fallbackMessage || `API error: ${response.status}`;
+
+    switch (true) {
+      case response.status === 401 || response.status === 403:
+        return new AuthError(message, details);
+      case response.status === 404:
+        return new NotFoundError(message, details);
+      case response.status === 429:
+        return new RateLimitError(message, details);
+      case response.status === 400 || response.status === 409 || response.status === 422:
+        return new ValidationError(message, details);
+      case response.status >= 500:
+        return new ServerError(message, details);
+      default:
+        return new SideDrawerAPIError(message, details);
+    }
+  }
+
+  /**
+   * Text to show the user for any error, typed or not
+   */
+  static describe(error) {
+    if (error instanceof SideDrawerAPIError) return error.userMessage;
+    return (error && error.message) || String(error);
+  }
+}
+
+/** 401/403, or no session at all. The user needs to reconnect (401) or lacks access (403). */
+class AuthError extends SideDrawerAPIError {
+  get userMessage() {
+    return this.withRequestId(this.status === 403
+      ? 'Your SideDrawer account does not have permission to do this.'
+      : 'Your SideDrawer session has expired. Please reconnect.');
+  }
+}
+
+class NotFoundError extends SideDrawerAPIError {
+  get userMessage() {
+    return this.withRequestId(`Not found in SideDrawer: ${this.message}`);
+  }
+}
+
+/** 400/409/422 — the server rejected what was sent; its message says why. */
+class ValidationError extends SideDrawerAPIError {
+  get userMessage() {
+    return this.withRequestId(`SideDrawer could not accept this request: ${this.message}`);
+  }
+}
+
+class RateLimitError extends SideDrawerAPIError {
+  get userMessage() {
+    const wait = this.retryAfter ? ` Please wait ${Math.ceil(this.retryAfter / 1000)} seconds and try again.` : ' Please try again shortly.';
+    return this.withRequestId(`SideDrawer is receiving too many requests.${wait}`);
+  }
+}
+
+class ServerError extends SideDrawerAPIError {
+  get userMessage() {
+    return this.withRequestId('SideDrawer is having trouble right now. Please try again in a few minutes.');
+  }
+}
+
+/** The request never got a response — offline, DNS, CORS or a dropped connection. */
+class NetworkError extends SideDrawerAPIError {
+  get userMessage() {
+    return 'Could not reach SideDrawer. Check your internet connection and try again.';
+  }
+}
+
+/**
+ * Retry-After in milliseconds — the header may hold seconds or an HTTP date
+ */
+function parseRetryAfter(response) {
+  const value = response.headers && response.headers.get('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * fetch(), but a request that gets no response at all rejects with NetworkError.
+ * Aborts are passed through untouched so callers can tell cancellation from failure.
+ * @param {function} [fetchImpl] - fetch implementation (default: the global fetch)
+ */
+async function fetchWithNetworkErrors(url, init, endpoint, fetchImpl = fetch) {
+  try {
+    return await fetchImpl(url, init);
+  } catch (error) {
+    if (error && error.name === 'AbortError') throw error;
+    throw new NetworkError(error.message || 'Network request failed', { endpoint: endpoint || url, cause: error });
+  }
+}
+
+/**
+ * When and how long to retry a failed request.
+ *
+ * Only idempotent requests are retried (GET, HEAD, OPTIONS, PUT, DELETE, or any request the
+ * caller marks `idempotent`), and only for transient failures: a NetworkError, or a response
+ * whose status is in `retryOn`. Waits grow exponentially with jitter, unless the server sent
+ * Retry-After — that wait is used as-is, and a wait longer than `maxRetryAfter` is not worth
+ * retrying at all.
+ */
+class RetryPolicy {
+  /**
+   * @param {object} options
+   * @param {number} [options.retries=3] - Retries after the first attempt
+   * @param {number} [options.baseDelay=300] - First backoff ceiling, in ms; doubles per attempt
+   * @param {number} [options.maxDelay=10000] - Backoff ceiling, in ms
+   * @param {number} [options.maxRetryAfter=30000] - Longest Retry-After worth waiting for, in ms
+   * @param {number[]} [options.retryOn] - Retryable statuses (default 429, 502, 503, 504)
+   * @param {string[]} [options.methods] - Methods treated as idempotent
+   * @param {function} [options.onRetry] - Called before each retry with
+   *   { error, attempt, wait, label }, e.g. to log it; retries are silent without one
+   */
+  constructor(options = {}) {
+    this.retries = options.retries ?? 3;
+    this.baseDelay = options.baseDelay ?? 300;
+    this.maxDelay = options.maxDelay ?? 10000;
+    this.maxRetryAfter = options.maxRetryAfter ?? 30000;
+    this.retryOn = options.retryOn || [429, 502, 503, 504];
+    this.methods = options.methods || ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+    this.onRetry = options.onRetry || null;
+  }
+
+  isIdempotent(method = 'GET', idempotent) {
+    if (typeof idempotent === 'boolean') return idempotent;
+    return this.methods.includes(method.toUpperCase());
+  }
+
+  isTransient(error) {
+    return error instanceof NetworkError ||
+      (error instanceof SideDrawerAPIError && this.retryOn.includes(error.status));
+  }
+
+  shouldRetry(error, attempt, { method, idempotent } = {}) {
+    if (attempt >= this.retries || !this.isIdempotent(method, idempotent) || !this.isTransient(error)) {
+      return false;
+    }
+    return error.retryAfter == null || error.retryAfter <= this.maxRetryAfter;
+  }
+
+  /**
+   * Milliseconds to wait before retry number `attempt + 1`
+   */
+  delayFor(attempt, error) {
+    if (error && error.retryAfter != null) return error.retryAfter;
+    const ceiling = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  /**
+   * Run `fn` (called with the attempt number), retrying the errors this policy allows
+   * @param {function} fn - Returns a promise; rejects with SideDrawerAPIError on failure
+   * @param {object} context - { method, idempotent, signal, label }
+   */
+  async run(fn, context = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn(attempt);
+      } catch (error) {
+        if ((context.signal && context.signal.aborted) || !this.shouldRetry(error, attempt, context)) {
+          throw error;
+        }
+        const wait = this.delayFor(attempt, error);
+        if (this.onRetry) this.onRetry({ error, attempt: attempt + 1, wait, label: context.label || 'request' });
+        await delay(wait, context.signal);
+      }
+    }
+  }
+}
+
+// Policy used by fetchWithRetry() and by every SideDrawerAPI created without its own `retry` option
+const defaultRetryPolicy = new RetryPolicy();
+
+/**
+ * fetch() under a retry policy, for callers outside SideDrawerAPI (wizards, widget).
+ * Transient failures are retried per the policy; the final response is returned as-is —
+ * including a retryable status once retries run out — so existing `response.ok` checks still apply.
+ */
+async function fetchWithRetry(url, init = {}, policy = defaultRetryPolicy, send = fetchWithNetworkErrors) {
+  const context = { method: init.method || 'GET', idempotent: init.idempotent, signal: init.signal, label: url };
+  let lastResponse = null;
+  try {
+    return await policy.run(async () => {
+      const response = await send(url, init);
+      if (policy.retryOn.includes(response.status)) {
+        lastResponse = response.clone ? response.clone() : response;
+        throw await SideDrawerAPIError.fromResponse(response, url);
+      }
+      return response;
+    }, context);
+  } catch (error) {
+    if (lastResponse && error instanceof SideDrawerAPIError && error.status === lastResponse.status) {
+      return lastResponse;
+    }
+    throw error;
+  }
+}
+
+const MINUTE = 60 * 1000;
+
+// How long read responses stay cached, matched against the request URL's path.
+// Endpoints without a rule are never cached.
+const DEFAULT_CACHE_TTLS = [
+  { pattern: /\/tenants\/tenant\/shared$/, ttl: 5 * MINUTE },
+  { pattern: /\/configs\/content\/dictionaries\//, ttl: 60 * MINUTE },
+  { pattern: /\/me$/, ttl: 5 * MINUTE },
+  { pattern: /\/folders(\/|$)/, ttl: MINUTE }
+];
+
+// Cached paths a successful write to a resource makes stale, keyed by the write's first path segment
+const CACHE_INVALIDATIONS = {
+  documents: ['/documents', '/folders', '/activity', '/search'],
+  clients: ['/clients', '/activity', '/search'],
+  folders: ['/folders', '/documents']
+};
+
+/**
+ * In-memory cache for read responses.
+ *
+ * Entries expire after a per-endpoint TTL (see DEFAULT_CACHE_TTLS), and concurrent loads of the
+ * same key share one request. Failed loads and `undefined` results are never cached. Cached
+ * values are shared between callers — treat them as read-only.
+ */
+class ResponseCache {
+  /**
+   * @param {object} options
+   * @param {Array<{pattern: RegExp, ttl: number}>} [options.ttls] - TTL rules (ms), first match wins
+   */
+  constructor(options = {}) {
+    this.ttls = options.ttls || DEFAULT_CACHE_TTLS;
+    this.entries = new Map();
+    this.inflight = new Map();
+    this.generation = 0;
+  }
+
+  /**
+   * TTL in ms for a URL, or 0 when it should not be cached
+   */
+  ttlFor(url) {
+    const path = pathOf(url);
+    const rule = this.ttls.find(r => r.pattern.test(path));
+    return rule ? rule.ttl : 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (Date.now() >= entry.expiresAt) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  set(key, value, ttl) {
+    if (ttl > 0 && value !== undefined) {
+      this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+    }
+  }
+
+  /**
+   * Cached value for `key`, or the result of `loader()` cached for `ttl` ms.
+   * A load that overlaps an invalidation is returned to its callers but not cached.
+   */
+  async fetch(key, loader, ttl) {
+    const cached = this.get(key);
+    if (cached !== undefined) return cached;
+    if (this.inflight.has(key)) return this.inflight.get(key);
+
+    const generation = this.generation;
+    const promise = (async () => {
+      try {
+        const value = await loader();
+        if (generation === this.generation) this.set(key, value, ttl);
+        return value;
+      } finally {
+        if (this.inflight.get(key) === promise) this.inflight.delete(key);
+      }
+    })();
+    this.inflight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Drop entries whose URL path starts with one of `paths`
+   * @param {string|string[]} paths - e.g. '/clients' or ['/documents', '/folders']
+   */
+  invalidate(paths) {
+    const prefixes = [].concat(paths);
+    const stale = key => prefixes.some(prefix => pathOf(key).startsWith(prefix));
+    this.generation++;
+    for (const key of [...this.entries.keys()]) {
+      if (stale(key)) this.entries.delete(key);
+    }
+    for (const key of [...this.inflight.keys()]) {
+      if (stale(key)) this.inflight.delete(key);
+    }
+  }
+
+  clear() {
+    this.generation++;
+    this.entries.clear();
+    this.inflight.clear();
+  }
+}
+
+/**
+ * GET `url` as JSON through fetchWithRetry and the page-wide response cache, for callers
+ * outside SideDrawerAPI (the wizards' dictionary load). URLs without a TTL rule are fetched
+ * every time. A non-OK response throws a SideDrawerAPIError and is not cached.
+ */
+async function fetchJSONCached(url, init = {}, cache = typeof window !== 'undefined' ? window.sdResponseCache : null) {
+  const load = async () => {
+    const response = await fetchWithRetry(url, init);
+    if (!response.ok) {
+      throw await SideDrawerAPIError.fromResponse(response, url);
+    }
+    return response.json();
+  };
+  const ttl = cache ? cache.ttlFor(url) : 0;
+  return ttl && !init.signal ? cache.fetch(url, load, ttl) : load();
+}
+
+// Path of an absolute URL or cache key ("<scope>|<url>"), without the query string
+function pathOf(url) {
+  const raw = String(url).slice(String(url).indexOf('|') + 1);
+  try {
+    return new URL(raw).pathname;
+  } catch (e) {
+    return raw.split('?')[0];
+  }
+}
+
 class SideDrawerAPI {
-  constructor() {
-    this.baseURL = window.sdHosts().userApi;
-    this.tenantURL = window.sdHosts().tenants;
-    this.storageKeys = {
-      accessToken: 'sidedrawer_access_token',
-      refreshToken: 'sidedrawer_refresh_token',
-      tokenExpiry: 'sidedrawer_token_expiry'
+  /**
+   * @param {object} options
+   * @param {string} [options.environment] - 'production', 'sandbox', 'development', or 'custom'
+   *   (with `hosts`). When omitted, the environment follows the session: the access token's
+   *   issuer decides, re-checked on every request, so a session from another environment
+   *   is never sent to the wrong hosts.
+   * @param {object} [options.hosts] - Explicit hosts ({ userApi, tenants, api, console }), in
+   *   the shape of an API_HOSTS entry. Implies environment 'custom'.
+   * @param {object} [options.auth] - SideDrawerAuth instance whose refreshAccessToken() to reuse.
+   *   Defaults to the widget's global `auth` when this script runs inside widget.html.
+   * @param {object} [options.sessionStore] - Session store (see LocalStorageSessionStore).
+   *   Defaults to the page-wide `window.sdSessionStore` that SideDrawerAuth also uses; outside a
+   *   browser, to a store over `options.storage`, or else a MemorySessionStore.
+   * @param {Storage} [options.storage] - Storage-like object ({ getItem, setItem, removeItem })
+   *   for the session and upload state where there is no localStorage (Node workers).
+   * @param {Storage} [options.uploadStateStorage] - Where chunked-upload resume state is kept.
+   *   Defaults to `options.storage` or localStorage, so an upload interrupted by a reload can
+   *   pick up where it stopped.
+   * @param {function} [options.fetch] - fetch implementation for every request, including
+   *   token refresh. Defaults to the global fetch (browsers, Node 18+).
+   * @param {RetryPolicy|object|false} [options.retry] - Retry policy (or RetryPolicy options) for
+   *   idempotent requests; `false` disables retries. Defaults to the shared default policy.
+   * @param {ResponseCache|object|false} [options.cache] - Cache for read endpoints (or ResponseCache
+   *   options); `false` disables caching. Defaults to the page-wide `window.sdResponseCache`.
+   */
+  constructor(options = {}) {
+    this.setEnvironment(options.hosts || options.environment || null);
+    this.sessionStore = options.sessionStore ||
+      (options.storage ? new LocalStorageSessionStore(SD_SESSION_KEY, options.storage)
+        : (typeof window !== 'undefined' && window.sdSessionStore) || new MemorySessionStore());
+    this.auth = options.auth || null;
+    this.uploadStateStorage = options.uploadStateStorage || options.storage ||
+      (typeof localStorage !== 'undefined' ? localStorage : null);
+    // Looked up per call rather than captured, so the global fetch can be swapped after construction
+    this.fetchImpl = options.fetch || ((url, init) => fetch(url, init));
+    this.retryPolicy = options.retry === false ? new RetryPolicy({ retries: 0 })
+      : options.retry instanceof RetryPolicy ? options.retry
+      : options.retry ? new RetryPolicy(options.retry)
+      : defaultRetryPolicy;
+    this.cache = options.cache === false ? null
+      : options.cache instanceof ResponseCache ? options.cache
+      : options.cache ? new ResponseCache(options.cache)
+      : (typeof window !== 'undefined' && window.sdResponseCache) || new ResponseCache();
+    this.middleware = [];
+    this._refreshInFlight = null;
+  }
+
+  /**
+   * Pin the client to an environment name or a hosts object, or pass null to follow the session
+   */
+  setEnvironment(environmentOrHosts) {
+    if (environmentOrHosts && typeof environmentOrHosts === 'object') {
+      if (!environmentOrHosts.userApi || !environmentOrHosts.tenants) {
+        throw new TypeError('Custom hosts need at least userApi and tenants');
+      }
+      this.environment = 'custom';
+      this.hosts = { ...environmentOrHosts };
+      return;
+    }
+    if (environmentOrHosts === 'custom') {
+      throw new TypeError("Environment 'custom' needs a hosts object");
+    }
+    if (environmentOrHosts && !API_HOSTS[environmentOrHosts]) {
+      throw new TypeError(`Unknown SideDrawer environment: ${environmentOrHosts}`);
+    }
+    this.environment = environmentOrHosts || null;
+    this.hosts = null;
+  }
+
+  /**
+   * The environment requests go to: the pinned one, else the session token's, else the
+   * widget's (window.sdHosts), else sandbox
+   */
+  getEnvironment() {
+    if (this.environment) return this.environment;
+    const session = this.getSession();
+    const sessionEnv = session && ((session.accessToken && detectEnvFromJWT(session.accessToken)) || session.env);
+    if (API_HOSTS[sessionEnv]) return sessionEnv;
+    if (typeof window !== 'undefined' && typeof window.sdHosts === 'function') {
+      const widgetHosts = window.sdHosts();
+      const widgetEnv = Object.keys(API_HOSTS).find(env => API_HOSTS[env] === widgetHosts);
+      if (widgetEnv) return widgetEnv;
+    }
+    return 'sandbox';
+  }
+
+  /**
+   * API hosts for getEnvironment(), resolved fresh on each call
+   */
+  getHosts() {
+    if (this.hosts) return this.hosts;
+    return API_HOSTS[this.getEnvironment()];
+  }
+
+  get baseURL() {
+    return this.getHosts().userApi;
+  }
+
+  get tenantURL() {
+    return this.getHosts().tenants;
+  }
+
+  /**
+   * Add a middleware to the end of the chain every request from this client goes through —
+   * request(), getTenantInfo() and uploadDocument() alike (the OAuth token refresh does not).
+   *
+   * A middleware is `async (req, next) => response`. `req` is { url, endpoint, init }, where
+   * `init` is the fetch init and `init.headers` a plain object; change them in place, or pass a
+   * new req to next(). Whatever next() resolves to is the Response the client sees, so a
+   * middleware can also time, inspect or replace it. Middleware runs again on each retry and on
+   * the replay after a token refresh.
+   *
+   * @example
+   * api.use(async (req, next) => {
+   *   req.init.headers['X-Correlation-Id'] = crypto.randomUUID();
+   *   return next(req);
+   * });
+   * @param {function} middleware
+   * @returns {SideDrawerAPI} this, for chaining
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new TypeError('Middleware must be a function');
+    }
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Send one HTTP request through the middleware chain and then fetch()
+   * @param {string} url - Absolute URL
+   * @param {object} init - fetch init
+   * @param {string} [endpoint] - The endpoint as the caller named it, for middleware and errors
+   */
+  send(url, init = {}, endpoint = url) {
+    const chain = this.middleware.slice();
+    const dispatch = (index, req) => {
+      if (index >= chain.length) {
+        return fetchWithNetworkErrors(req.url, req.init, req.endpoint, this.fetchImpl);
+      }
+      return Promise.resolve(chain[index](req, (nextReq) => dispatch(index + 1, nextReq || req)));
     };
+    return dispatch(0, { url: this.tenantScopedUrl(url), endpoint, init: { ...init, headers: { ...init.headers } } });
+  }
+
+  /**
+   * `url` scoped to the selected tenant (see withTenantScope()). The tenants gateway is left
+   * alone: it is what lists the tenants to choose from.
+   */
+  tenantScopedUrl(url) {
+    const { userApi, api } = this.getHosts();
+    const scoped = [userApi, api].some(host => host && String(url).startsWith(host));
+    return scoped ? withTenantScope(url, this.getSelectedTenant()) : url;
+  }
+
+  /**
+   * Normalize a list response to { items, nextCursor, total } — see readPage()
+   */
+  static readPage(page) {
+    return readPage(page);
+  }
+
+  /**
+   * Resolve after `ms`, or reject early if the signal aborts
+   */
+  static delay(ms, signal) {
+    return delay(ms, signal);
+  }
+
+  /**
+   * Throw the signal's abort reason if it has already aborted
+   */
+  static throwIfAborted(signal) {
+    throwIfAborted(signal);
+  }
+
+  /**
+   * Copy of `headers` with credentials masked — for middleware that logs requests
+   */
+  static redactHeaders(headers = {}) {
+    const redacted = { ...headers };
+    Object.keys(redacted).forEach(name => {
+      if (/^(authorization|cookie|x-api-key)$/i.test(name)) {
+        redacted[name] = String(redacted[name]).replace(/^(Bearer\s+)?.*$/i, (match, scheme) => `${scheme || ''}***REDACTED***`);
+      }
+    });
+    return redacted;
+  }
+
+  /**
+   * Get the stored session, or null when there is none
+   */
+  getSession() {
+    return this.sessionStore.get();
   }
 
   /**
    * Get the current access token
    */
   getAccessToken() {
-    return localStorage.getItem(this.storageKeys.accessToken);
+    const session = this.getSession();
+    return session ? session.accessToken || null : null;
   }
 
   /**
-   * Check if user is authenticated
+   * Check if user is authenticated.
+   * An expired access token still counts while there is a refresh token to renew it —
+   * the same rule the widget uses to show "Connected".
    */
   isAuthenticated() {
-    const token = this.getAccessToken();
-    const expiry = localStorage.getItem(this.storageKeys.tokenExpiry);
+    const session = this.getSession();
     
-    if (!token || !expiry) return false;
+    if (!session || !session.accessToken) return false;
     
     // Check if token is expired
-    return Date.now() < parseInt(expiry);
+    return Date.now() < parseInt(session.expiresAt) || !!session.refreshToken;
   }
 
   /**
    * Make an authenticated API request
    * @param {string} endpoint - API endpoint (e.g., '/users/me', '/documents')
-   * @param {object} options - Fetch options (method, body, etc.)
+   * @param {object} options - Fetch options (method, body, etc.), plus:
+   * @param {boolean} [options.idempotent] - Mark a POST as safe to retry (or a PUT as unsafe)
+   * @param {RetryPolicy|false} [options.retry] - Override the client's retry policy for this call
+   * @param {boolean} [options.cache] - `false` skips the response cache for this GET
+   * @param {string} [options.responseType] - 'json' (default) or 'blob' for file downloads
+   * @param {boolean} [options.invalidate] - `false` keeps cached reads after this write, for
+   *   writes that change nothing readable yet (e.g. the steps of a chunked upload)
    */
   async request(endpoint, options = {}) {
-    const token = this.getAccessToken();
+    const { idempotent, retry, cache, responseType, invalidate, ...fetchOptions } = options;
     
-    if (!token) {
-      throw new Error('Not authenticated. Please connect to SideDrawer first.');
+    if (!this.getAccessToken()) {
+      throw new AuthError('Not authenticated. Please connect to SideDrawer first.', { endpoint });
     }
 
     const url = endpoint.startsWith('http') ? endpoint : `${this.baseURL}${endpoint}`;
     
-    const defaultHeaders = {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    };
-
-    const config = {
-      ...options,
+    // FormData bodies get no Content-Type: the browser sets multipart with its boundary
+    const isFormData = typeof FormData !== 'undefined' && fetchOptions.body instanceof FormData;
+    const buildConfig = (accessToken) => ({
+      ...fetchOptions,
       headers: {
-        ...defaultHeaders,
-        ...options.headers
+        'Authorization': `Bearer ${accessToken}`,
+        ...(isFormData ? {} : { 'Content-Type': 'application/json' }),
+        ...fetchOptions.headers
+      }
+    });
+
+    const policy = retry === false ? null : (retry || this.retryPolicy);
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+
+    const send = () => {
+      if (!policy) {
+        return this._sendRequest(url, endpoint, buildConfig, responseType);
       }
+      return policy.run(() => this._sendRequest(url, endpoint, buildConfig, responseType), {
+        method,
+        idempotent,
+        signal: fetchOptions.signal,
+        label: `${method} ${endpoint}`
+      });
     };
 
     try {
-      const response = await fetch(url, config);
-      
-      if (response.status === 401) {
-        throw new Error('Authentication expired. Please reconnect.');
+      if (method === 'GET') {
+        return await this.cached(url, send, { signal: fetchOptions.signal, cache });
       }
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || `API error: ${response.status}`);
+      const result = await send();
+      if (method !== 'HEAD' && !idempotent && invalidate !== false) {
+        this.invalidateCache(endpoint);
       }
-
-      return await response.json();
+      return result;
     } catch (error) {
       console.error('SideDrawer API Error:', error);
       throw error;
     }
   }
 
+  /**
+   * One attempt of request(): send, refresh-and-replay on 401, parse or throw a typed error
+   */
+  async _sendRequest(url, endpoint, buildConfig, responseType = 'json') {
+    const token = this.getAccessToken();
+    let response = await this.send(url, buildConfig(token), endpoint);
+    
+    // Refresh once and replay. A second 401 means the session really is gone.
+    if (response.status === 401) {
+      try {
+        await this.refreshAccessToken(token);
+      } catch (refreshError) {
+        console.warn('SideDrawer API: token refresh failed:', refreshError.message);
+      }
+      const freshToken = this.getAccessToken();
+      if (freshToken && freshToken !== token) {
+        response = await this.send(url, buildConfig(freshToken), endpoint);
+      }
+    }
+
+    if (response.status === 401) {
+      throw await SideDrawerAPIError.fromResponse(response, endpoint, 'Authentication expired. Please reconnect.');
+    }
+
+    if (!response.ok) {
+      throw await SideDrawerAPIError.fromResponse(response, endpoint);
+    }
+
+    if (response.status === 204) {
+      return null;
+    }
+
+    return responseType === 'blob' ? await response.blob() : await response.json();
+  }
+
+  /**
+   * Refresh the access token. Concurrent callers share one in-flight refresh.
+   *
+   * Refresh tokens rotate, so two exchanges racing on the same token leave the loser with
+   * 403 invalid_grant. On the widget page this defers to SideDrawerAuth.refreshAccessToken(),
+   * which already holds the cross-tab `navigator.locks` lock. Elsewhere the exchange runs here,
+   * under the same lock name.
+   * @param {string} [staleToken] - The access token that was rejected. If another tab has
+   *   already replaced it by the time the lock is granted, no exchange is made.
+   */
+  async refreshAccessToken(staleToken) {
+    if (this._refreshInFlight) {
+      return this._refreshInFlight;
+    }
+    const sdAuth = this.getAuth();
+    const run = () => {
+      if (sdAuth) {
+        return sdAuth.refreshAccessToken();
+      }
+      if (typeof navigator !== 'undefined' && navigator.locks && navigator.locks.request) {
+        return navigator.locks.request(TOKEN_REFRESH_LOCK, () => this._doRefreshAccessToken(staleToken));
+      }
+      // No Web Locks API available — fall back to same-page-only protection.
+      return this._doRefreshAccessToken(staleToken);
+    };
+    this._refreshInFlight = run()
+      .finally(() => { this._refreshInFlight = null; });
+    return this._refreshInFlight;
+  }
+
+  /**
+   * The SideDrawerAuth instance to refresh through, if any
+   */
+  getAuth() {
+    if (this.auth) return this.auth;
+    if (typeof auth !== 'undefined' && auth && typeof auth.refreshAccessToken === 'function') {
+      return auth;
+    }
+    return null;
+  }
+
+  async _doRefreshAccessToken(staleToken) {
+    // Re-read storage now that we hold the lock: the previous holder may have rotated the tokens.
+    const session = this.getSession() || {};
+    if (session.accessToken && session.accessToken !== staleToken && Date.now() < parseInt(session.expiresAt)) {
+      return;
+    }
+
+    const refreshToken = session.refreshToken;
+    if (!refreshToken || !session.clientId) {
+      throw new AuthError('No refresh token available. Please reconnect.');
+    }
+
+    // The token's issuer is the Auth0 tenant that minted it, and its audience is the API it
+    // was minted for — so the refresh goes to the same place without any environment lookup.
+    const claims = this.decodeJWT(session.accessToken || staleToken) || {};
+    if (!claims.iss) {
+      throw new AuthError('Cannot determine token endpoint for refresh');
+    }
+    const audiences = [].concat(claims.aud || []);
+    const audience = audiences.find(aud => !aud.endsWith('/userinfo')) || audiences[0];
+
+    const tokenURL = `${claims.iss.replace(/\/$/, '')}/oauth/token`;
+    const response = await fetchWithNetworkErrors(tokenURL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        grant_type: 'refresh_token',
+        client_id: session.clientId,
+        refresh_token: refreshToken,
+        audience: audience,
+        scope: OAUTH_SCOPE
+      })
+    }, '/oauth/token', this.fetchImpl);
+
+    if (!response.ok) {
+      const error = await SideDrawerAPIError.fromResponse(response, '/oauth/token', `Token refresh failed: ${response.status}`);
+      // A rejected refresh (4xx) means the user has to sign in again, whatever status Auth0 used
+      throw error instanceof AuthError || error.status >= 500 ? error : new AuthError(error.message, error);
+    }
+
+    const tokenData = await response.json();
+    const refreshTokenToUse = tokenData.refresh_token || refreshToken;
+    this.sessionStore.set({
+      ...session,
+      accessToken: tokenData.access_token,
+      expiresAt: Date.now() + (tokenData.expires_in * 1000),
+      tokenType: tokenData.token_type || 'Bearer',
+      refreshToken: refreshTokenToUse
+    });
+  }
+
+  /**
+   * Decode a JWT payload without verifying it
+   */
+  decodeJWT(token) {
+    try {
+      const b64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      return JSON.parse(atob(b64));
+    } catch (e) {
+      return null;
+    }
+  }
+
   /**
    * Get current user information
    */
@@ -90,91 +1019,308 @@ class SideDrawerAPI {
   }
 
   /**
-   * Get tenant information
+   * Get tenant information for the selected tenant (see selectTenant()), or the first tenant
+   * shared with the user when none is selected
+   * @param {object} [options] - { cache: false to skip the response cache }
    * @returns {Promise<object>} Tenant information including tenantId, brandCode, and region
    */
-  async getTenantInfo() {
-    const token = this.getAccessToken();
-    
-    if (!token) {
-      throw new Error('Not authenticated. Please connect to SideDrawer first.');
+  async getTenantInfo(options = {}) {
+    const tenants = await this.getTenants(options);
+    if (tenants.length === 0) {
+      throw new NotFoundError('No tenant data available', { endpoint: `${this.tenantURL}/api/v1/tenants/tenant/shared` });
     }
+    const selected = this.getSelectedTenant();
+    return (selected && tenants.find(tenant => tenant.tenantId === selected.tenantId)) || tenants[0];
+  }
 
-    const response = await fetch(`${this.tenantURL}/api/v1/tenants/tenant/shared`, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      }
+  /**
+   * Every tenant shared with the user, in the shape getTenantInfo() returns
+   * @param {object} [options] - { cache: false to skip the response cache }
+   * @returns {Promise<object[]>} Empty when the user has no tenant yet
+   */
+  async getTenants({ cache } = {}) {
+    const tenants = readTenantShared(await this.request(`${this.tenantURL}/api/v1/tenants/tenant/shared`, { cache }));
+    // Don't hold on to "no tenants": the user may be about to create one (tenant wizard)
+    if (tenants.length === 0 && this.cache) {
+      this.cache.invalidate('/api/v1/tenants/tenant/shared');
+    }
+    return tenants;
+  }
+
+  /**
+   * The tenant picked with selectTenant() ({ tenantId, brandCode, region }), or null
+   */
+  getSelectedTenant() {
+    const session = this.getSession();
+    return (session && session.tenant && session.tenant.tenantId) ? session.tenant : null;
+  }
+
+  /**
+   * Scope every later user API request to one of the user's tenants and its brand code.
+   * The choice is kept in the session, so it reaches every widget and tab sharing it, and
+   * ends with it on disconnect.
+   * @param {string} tenantId - A tenantId from getTenants()
+   * @returns {Promise<object>} The selected tenant's information
+   */
+  async selectTenant(tenantId) {
+    const tenants = await this.getTenants();
+    const tenant = tenants.find(t => t.tenantId === tenantId);
+    if (!tenant) {
+      throw new NotFoundError(`Tenant ${tenantId} is not shared with this user`, { endpoint: `${this.tenantURL}/api/v1/tenants/tenant/shared` });
+    }
+    const session = this.getSession();
+    if (!session) {
+      throw new AuthError('Not authenticated. Please connect to SideDrawer first.');
+    }
+    this.sessionStore.set({
+      ...session,
+      tenant: { tenantId: tenant.tenantId, brandCode: tenant.brandCode, region: tenant.region }
     });
+    return tenant;
+  }
 
-    if (!response.ok) {
-      throw new Error(`Failed to get tenant info: ${response.status}`);
+  /**
+   * Cached result of `load()` for a GET of `url`, scoped to the signed-in user and selected tenant.
+   * Bypassed when the URL has no TTL rule, when caching is off, or when the caller passes an
+   * abort signal (one caller's cancel must not fail another's shared request).
+   * @param {object} options - { signal, cache: false to skip the cache for this call }
+   */
+  cached(url, load, { signal, cache } = {}) {
+    const ttl = this.cache ? this.cache.ttlFor(url) : 0;
+    if (!ttl || signal || cache === false) {
+      return load();
     }
+    const claims = this.decodeJWT(this.getAccessToken()) || {};
+    const tenant = this.getSelectedTenant();
+    return this.cache.fetch(`${claims.sub || ''}${tenant ? `@${tenant.tenantId}` : ''}|${url}`, load, ttl);
+  }
 
-    const data = await response.json();
-    
-    if (data && data.length > 0) {
-      const tenant = data[0];
-      return { 
-        tenantId: tenant.id || "", 
-        brandCode: tenant.defaultBrandCode || "", 
-        region: tenant.region || "",
-        tenant: tenant // Include full tenant object for additional data
-      };
+  /**
+   * Drop cached reads made stale by a successful write to `endpoint`
+   * (see CACHE_INVALIDATIONS; other resources invalidate their own path)
+   */
+  invalidateCache(endpoint) {
+    if (!this.cache) return;
+    const resource = pathOf(endpoint).split('/').filter(Boolean)[0];
+    if (resource) {
+      this.cache.invalidate(CACHE_INVALIDATIONS[resource] || `/${resource}`);
     }
-    
-    throw new Error('No tenant data available');
   }
 
   /**
    * Get user's documents
-   * @param {object} params - Query parameters (limit, offset, etc.)
+   * @param {object} params - Query parameters (limit, offset, clientId, etc.)
+   * @param {object} options - Fetch options (e.g. signal)
    */
-  async getDocuments(params = {}) {
+  async getDocuments(params = {}, options = {}) {
     const queryString = new URLSearchParams(params).toString();
     const endpoint = `/documents${queryString ? '?' + queryString : ''}`;
-    return this.request(endpoint);
+    return this.request(endpoint, options);
   }
 
   /**
    * Get a specific document by ID
    * @param {string} documentId - Document ID
+   * @param {object} options - Fetch options (e.g. signal)
    */
-  async getDocument(documentId) {
-    return this.request(`/documents/${documentId}`);
+  async getDocument(documentId, options = {}) {
+    return this.request(`/documents/${documentId}`, options);
   }
 
   /**
-   * Upload a document
+   * Download a document's file
+   * @param {string} documentId - Document ID
+   * @param {object} options - Fetch options (e.g. signal)
+   * @returns {Promise<Blob>}
+   */
+  async getDocumentContent(documentId, options = {}) {
+    return this.request(`/documents/${documentId}/download`, { ...options, responseType: 'blob' });
+  }
+
+  /**
+   * Upload a document.
+   * Files over `chunkThreshold` (10 MB) are sent in chunks — see uploadDocumentChunked().
    * @param {FormData} formData - Form data with file and metadata
+   * @param {object} options
+   * @param {function} [options.onProgress] - Called with { uploadId, chunkIndex, chunkCount, bytesUploaded, totalBytes, percent }
+   * @param {AbortSignal} [options.signal] - Cancels the upload
+   * @param {number} [options.chunkThreshold] - Size above which the chunked path is used
+   * @param {number} [options.chunkSize] - Bytes per chunk (default 5 MB)
+   * @param {string} [options.uploadId] - Resume this chunked upload instead of starting a new one
    */
-  async uploadDocument(formData) {
-    const token = this.getAccessToken();
-    
-    if (!token) {
-      throw new Error('Not authenticated');
+  async uploadDocument(formData, options = {}) {
+    const file = formData.get('file');
+    const threshold = options.chunkThreshold ?? CHUNKED_UPLOAD_THRESHOLD;
+    if (file && typeof file.slice === 'function' && (file.size > threshold || options.uploadId)) {
+      return this.uploadDocumentChunked(file, formData, options);
     }
 
-    const response = await fetch(`${this.baseURL}/documents`, {
+    const document = await this.request('/documents', {
       method: 'POST',
+      body: formData,
+      signal: options.signal
+    });
+    if (options.onProgress && file) {
+      options.onProgress({ uploadId: null, chunkIndex: 0, chunkCount: 1, bytesUploaded: file.size, totalBytes: file.size, percent: 100 });
+    }
+    return document;
+  }
+
+  /**
+   * Upload a large file in chunks through an upload session:
+   * POST /documents/uploads → PUT /documents/uploads/:id/chunks/:index (each) → POST .../complete.
+   *
+   * The upload id and chunk size are remembered per user, tenant and file (name, size,
+   * lastModified) until the upload completes, so calling this again with the same file after a
+   * failure, cancel or reload skips the chunks the server already has. A resumed upload keeps
+   * the chunk size it started with, whatever `chunkSize` says. A failed upload's error carries
+   * `uploadId` for explicit resumes. Options are the same as uploadDocument().
+   */
+  async uploadDocumentChunked(file, formData, options = {}) {
+    const { onProgress, signal } = options;
+    const stateKey = this.uploadStateKey(file);
+    const saved = this.loadUploadState(stateKey) || {};
+
+    let uploadId = options.uploadId || saved.uploadId || null;
+    let chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    const received = new Set();
+
+    try {
+      if (uploadId) {
+        try {
+          const status = await this.request(`/documents/uploads/${uploadId}`, { signal });
+          (status && status.receivedChunks || []).forEach(index => received.add(Number(index)));
+          // The server's chunk boundaries are the ones the upload started with
+          const resumedSize = Number((status && status.chunkSize) || (saved.uploadId === uploadId && saved.chunkSize));
+          if (resumedSize > 0) chunkSize = resumedSize;
+        } catch (error) {
+          if (signal && signal.aborted) throw error;
+          // The server no longer knows this upload (expired or completed) — start a new one.
+          console.warn(`SideDrawer API: cannot resume upload ${uploadId}, starting over:`, error.message);
+          uploadId = null;
+          received.clear();
+        }
+      }
+
+      const chunkCount = Math.max(1, Math.ceil(file.size / chunkSize));
+      if (!uploadId) {
+        const metadata = {};
+        formData.forEach((value, key) => {
+          if (key !== 'file' && typeof value === 'string') metadata[key] = value;
+        });
+        const session = await this.request('/documents/uploads', {
+          method: 'POST',
+          body: JSON.stringify({
+            fileName: file.name,
+            fileSize: file.size,
+            contentType: file.type || 'application/octet-stream',
+            chunkSize,
+            chunkCount,
+            metadata
+          }),
+          invalidate: false,
+          signal
+        });
+        uploadId = session && (session.uploadId || session.id);
+        if (!uploadId) {
+          throw new SideDrawerAPIError('The upload session response has no upload id', { endpoint: '/documents/uploads', body: session });
+        }
+        this.saveUploadState(stateKey, { uploadId, chunkSize });
+      }
+
+      let bytesUploaded = 0;
+      received.forEach(index => {
+        bytesUploaded += Math.max(0, Math.min(chunkSize, file.size - index * chunkSize));
+      });
+      const report = (chunkIndex) => {
+        if (!onProgress) return;
+        onProgress({
+          uploadId,
+          chunkIndex,
+          chunkCount,
+          bytesUploaded,
+          totalBytes: file.size,
+          percent: file.size ? Math.round((bytesUploaded / file.size) * 100) : 100
+        });
+      };
+
+      for (let index = 0; index < chunkCount; index++) {
+        if (received.has(index)) continue;
+        throwIfAborted(signal);
+        const start = index * chunkSize;
+        const end = Math.min(start + chunkSize, file.size);
+        await this.uploadChunk(uploadId, index, file.slice(start, end), { start, end, total: file.size, signal });
+        bytesUploaded += end - start;
+        report(index);
+      }
+
+      // Completing creates the document, so this is the one step that invalidates cached reads
+      const document = await this.request(`/documents/uploads/${uploadId}/complete`, {
+        method: 'POST',
+        signal
+      });
+      this.clearUploadState(stateKey);
+      return document;
+    } catch (error) {
+      // An abort reason can be any value, e.g. controller.abort('cancel')
+      if (error && typeof error === 'object') error.uploadId = uploadId;
+      throw error;
+    }
+  }
+
+  /**
+   * PUT one chunk. PUT is idempotent, so the retry policy covers transient failures.
+   */
+  async uploadChunk(uploadId, index, blob, { start, end, total, signal }) {
+    return this.request(`/documents/uploads/${uploadId}/chunks/${index}`, {
+      method: 'PUT',
       headers: {
-        'Authorization': `Bearer ${token}`
-        // Don't set Content-Type - browser will set it with boundary for FormData
+        'Content-Type': 'application/octet-stream',
+        'Content-Range': `bytes ${start}-${end - 1}/${total}`
       },
-      body: formData
+      body: blob,
+      invalidate: false,
+      signal
     });
+  }
 
-    if (!response.ok) {
-      throw new Error(`Upload failed: ${response.status}`);
+  /**
+   * Resume-state key for a file, scoped to the signed-in user and selected tenant so another
+   * account in the same browser never picks up the upload
+   */
+  uploadStateKey(file) {
+    const claims = this.decodeJWT(this.getAccessToken()) || {};
+    const tenant = this.getSelectedTenant();
+    return UPLOAD_STATE_PREFIX + [claims.sub || '', tenant ? tenant.tenantId : '', file.name, file.size, file.lastModified || 0].join('_');
+  }
+
+  loadUploadState(key) {
+    try {
+      const raw = this.uploadStateStorage && this.uploadStateStorage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      return null;
     }
+  }
 
-    return await response.json();
+  saveUploadState(key, state) {
+    if (this.uploadStateStorage) {
+      this.uploadStateStorage.setItem(key, JSON.stringify(state));
+    }
+  }
+
+  clearUploadState(key) {
+    if (this.uploadStateStorage) {
+      this.uploadStateStorage.removeItem(key);
+    }
   }
 
   /**
-   * Share a document with a client
+   * Share a document with a client or an email address
    * @param {string} documentId - Document ID
-   * @param {object} shareData - Share configuration (email, permissions, etc.)
+   * @param {object} shareData - Share configuration: recipientId (a client) or recipientEmail,
+   *   permission ('view' or 'download'), and optional expiresAt (ISO date), password and message
+   * @returns {Promise<object>} The share record, including its link
    */
   async shareDocument(documentId, shareData) {
     return this.request(`/documents/${documentId}/share`, {
@@ -186,19 +1332,46 @@ class SideDrawerAPI {
   /**
    * Get clients list
    * @param {object} params - Query parameters
+   * @param {object} options - Fetch options (e.g. signal)
    */
-  async getClients(params = {}) {
+  async getClients(params = {}, options = {}) {
     const queryString = new URLSearchParams(params).toString();
     const endpoint = `/clients${queryString ? '?' + queryString : ''}`;
-    return this.request(endpoint);
+    return this.request(endpoint, options);
   }
 
   /**
    * Get a specific client by ID
    * @param {string} clientId - Client ID
+   * @param {object} options - Fetch options (e.g. signal)
    */
-  async getClient(clientId) {
-    return this.request(`/clients/${clientId}`);
+  async getClient(clientId, options = {}) {
+    return this.request(`/clients/${clientId}`, options);
+  }
+
+  /**
+   * Find the client with this email address, or null when there is none.
+   * Results are matched case-insensitively here too, in case the API treats `email` as a loose search.
+   * @param {string} email - Email address
+   * @param {object} options - Fetch options (e.g. signal)
+   */
+  async findClientByEmail(email, options = {}) {
+    const wanted = String(email || '').trim().toLowerCase();
+    if (!wanted) return null;
+    const { items } = readPage(await this.getClients({ email: wanted }, options));
+    return items.find(client => String(client.email || '').trim().toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * Get the document requests sent to a client
+   * @param {string} clientId - Client ID
+   * @param {object} params - Query parameters (status, limit, etc.)
+   * @param {object} options - Fetch options (e.g. signal)
+   */
+  async getClientRequests(clientId, params = {}, options = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = `/clients/${clientId}/requests${queryString ? '?' + queryString : ''}`;
+    return this.request(endpoint, options);
   }
 
   /**
@@ -225,40 +1398,301 @@ class SideDrawerAPI {
   }
 
   /**
-   * Get folders/vaults
-   * @param {object} params - Query parameters
+   * Get folders/vaults. Without `parentId` this lists every folder; each carries its `parentId`.
+   * @param {object} params - Query parameters (parentId, etc.)
+   * @param {object} options - Fetch options (e.g. signal)
    */
-  async getFolders(params = {}) {
+  async getFolders(params = {}, options = {}) {
     const queryString = new URLSearchParams(params).toString();
     const endpoint = `/folders${queryString ? '?' + queryString : ''}`;
-    return this.request(endpoint);
+    return this.request(endpoint, options);
+  }
+
+  /**
+   * Get the folders directly inside a folder
+   * @param {string|null} parentId - Parent folder ID, or null for the top level
+   * @param {object} options - Fetch options (e.g. signal)
+   * @returns {Promise<object|object[]>} A list page or array, either way readable with readPage()
+   */
+  async getSubfolders(parentId = null, options = {}) {
+    if (parentId) return this.getFolders({ parentId }, options);
+    // Without parentId the API lists every folder; the top level is the ones without a parent
+    return readPage(await this.getFolders({}, options)).items.filter(folder => !folder.parentId);
+  }
+
+  /**
+   * Create a folder
+   * @param {object} folderData - { name, parentId } (parentId null or omitted for the top level)
+   */
+  async createFolder(folderData) {
+    return this.request('/folders', {
+      method: 'POST',
+      body: JSON.stringify(folderData)
+    });
+  }
+
+  /**
+   * Rename a folder
+   * @param {string} folderId - Folder ID
+   * @param {string} name - New name
+   */
+  async renameFolder(folderId, name) {
+    return this.request(`/folders/${folderId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ name })
+    });
+  }
+
+  /**
+   * Move a folder under another folder
+   * @param {string} folderId - Folder ID
+   * @param {string|null} parentId - New parent folder ID, or null for the top level
+   */
+  async moveFolder(folderId, parentId) {
+    return this.request(`/folders/${folderId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ parentId })
+    });
   }
 
   /**
    * Search across documents
    * @param {string} query - Search query
-   * @param {object} filters - Additional filters
+   * @param {object} filters - Additional filters (folderId, clientId, fileType, dateFrom, dateTo)
+   *   and paging (limit plus offset or cursor)
+   * @param {object} options - Fetch options (e.g. signal)
    */
-  async search(query, filters = {}) {
+  async search(query, filters = {}, options = {}) {
     return this.request('/search', {
+      ...options,
       method: 'POST',
-      body: JSON.stringify({ query, ...filters })
+      body: JSON.stringify({ query, ...filters }),
+      // Read-only despite the POST
+      idempotent: true
     });
   }
 
   /**
    * Get activity/audit log
-   * @param {object} params - Query parameters (startDate, endDate, etc.)
+   * @param {object} params - Query parameters (startDate, endDate, type, clientId, etc.)
+   * @param {object} options - Fetch options (e.g. signal)
    */
-  async getActivity(params = {}) {
+  async getActivity(params = {}, options = {}) {
     const queryString = new URLSearchParams(params).toString();
     const endpoint = `/activity${queryString ? '?' + queryString : ''}`;
-    return this.request(endpoint);
+    return this.request(endpoint, options);
+  }
+
+  /**
+   * Iterate every item of a list endpoint, fetching pages as needed.
+   *
+   * Follows the page's `nextCursor` when the API returns one; otherwise advances `offset`
+   * until a short page (or `total`) says there is nothing left. An empty page, or a cursor the
+   * server already sent, also ends it, so a misbehaving server cannot loop it forever.
+   * @param {function} fetchPage - (params, fetchOptions) => Promise<page>, e.g. a bound getDocuments
+   * @param {object} params - Query parameters sent with every page
+   * @param {object} options
+   * @param {number} [options.pageSize=50] - Items requested per page (`limit`)
+   * @param {number} [options.maxItems] - Stop after yielding this many items in total
+   * @param {AbortSignal} [options.signal] - Cancels the in-flight page and stops iteration
+   */
+  async *paginate(fetchPage, params = {}, options = {}) {
+    const { pageSize = 50, maxItems = Infinity, signal } = options;
+    let offset = parseInt(params.offset) || 0;
+    let cursor = null;
+    const seenCursors = new Set();
+    let yielded = 0;
+
+    while (yielded < maxItems) {
+      throwIfAborted(signal);
+
+      const pageParams = { ...params, limit: pageSize };
+      if (cursor) {
+        delete pageParams.offset;
+        pageParams.cursor = cursor;
+      } else {
+        pageParams.offset = offset;
+      }
+
+      const page = await fetchPage(pageParams, { signal });
+      const { items, nextCursor, total } = readPage(page);
+
+      for (const item of items) {
+        throwIfAborted(signal);
+        yield item;
+        if (++yielded >= maxItems) return;
+      }
+
+      if (items.length === 0) return;
+      if (nextCursor) {
+        if (seenCursors.has(nextCursor)) return;
+        seenCursors.add(nextCursor);
+        cursor = nextCursor;
+        continue;
+      }
+      offset += items.length;
+      if (cursor || items.length < pageSize || (total !== null && offset >= total)) return;
+    }
+  }
+
+  /**
+   * Iterate all documents. See paginate() for options.
+   */
+  iterateDocuments(params = {}, options = {}) {
+    return this.paginate((p, o) => this.getDocuments(p, o), params, options);
+  }
+
+  /**
+   * Iterate all clients. See paginate() for options.
+   */
+  iterateClients(params = {}, options = {}) {
+    return this.paginate((p, o) => this.getClients(p, o), params, options);
+  }
+
+  /**
+   * Iterate all folders. See paginate() for options.
+   */
+  iterateFolders(params = {}, options = {}) {
+    return this.paginate((p, o) => this.getFolders(p, o), params, options);
+  }
+
+  /**
+   * Iterate the whole activity log for the given range. See paginate() for options.
+   */
+  iterateActivity(params = {}, options = {}) {
+    return this.paginate((p, o) => this.getActivity(p, o), params, options);
+  }
+}
+
+/**
+ * `url` with the `tenantId` and `brandCode` query parameters of a tenant picked with
+ * SideDrawerAPI.selectTenant(), when its path is one of TENANT_SCOPED_PATHS. Unchanged without
+ * a tenant or for any other path, and parameters already in the URL win.
+ * @param {string} url - Absolute URL
+ * @param {object|null} [tenant] - { tenantId, brandCode }; defaults to the page session's selection
+ */
+function withTenantScope(url, tenant = (typeof window !== 'undefined' && window.sdSessionStore && (window.sdSessionStore.get() || {}).tenant)) {
+  if (!tenant || !tenant.tenantId) return url;
+  const scoped = new URL(url);
+  if (!TENANT_SCOPED_PATHS.some(pattern => pattern.test(scoped.pathname))) return url;
+  if (!scoped.searchParams.has('tenantId')) scoped.searchParams.set('tenantId', tenant.tenantId);
+  if (tenant.brandCode && !scoped.searchParams.has('brandCode')) scoped.searchParams.set('brandCode', tenant.brandCode);
+  return scoped.toString();
+}
+
+/**
+ * Escape text for HTML, for the pages and scripts that render API data
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
+
+// Shape the /tenants/tenant/shared response: one entry per tenant
+function readTenantShared(data) {
+  return (Array.isArray(data) ? data : []).map(tenant => ({
+    tenantId: tenant.id || "",
+    brandCode: tenant.defaultBrandCode || "",
+    region: tenant.region || "",
+    name: tenant.name || tenant.displayName || tenant.defaultBrandCode || tenant.id || "",
+    tenant: tenant // Include full tenant object for additional data
+  }));
+}
+
+/**
+ * Normalize a list response: either a bare array, or an object carrying the items under
+ * `data`/`items`/`results` plus optional `nextCursor` and `total`.
+ */
+function readPage(page) {
+  if (Array.isArray(page)) {
+    return { items: page, nextCursor: null, total: null };
+  }
+  const body = page || {};
+  const items = body.data || body.items || body.results || [];
+  const total = body.total ?? body.totalCount ?? null;
+  return {
+    items: Array.isArray(items) ? items : [],
+    nextCursor: body.nextCursor || body.next_cursor || null,
+    total: total === null ? null : parseInt(total)
+  };
+}
+
+/**
+ * Resolve after `ms`, or reject early if the signal aborts
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason || new DOMException('The operation was aborted.', 'AbortError'));
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Throw the signal's abort reason if it has already aborted
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw signal.reason || new DOMException('The operation was aborted.', 'AbortError');
   }
 }
 
 // Export for use in other scripts
 if (typeof window !== 'undefined') {
   window.SideDrawerAPI = SideDrawerAPI;
+  window.LocalStorageSessionStore = LocalStorageSessionStore;
+  window.MemorySessionStore = MemorySessionStore;
+  window.SideDrawerAPIError = SideDrawerAPIError;
+  window.AuthError = AuthError;
+  window.NotFoundError = NotFoundError;
+  window.ValidationError = ValidationError;
+  window.RateLimitError = RateLimitError;
+  window.ServerError = ServerError;
+  window.NetworkError = NetworkError;
+  window.RetryPolicy = RetryPolicy;
+  window.AUTH_ENVIRONMENTS = AUTH_ENVIRONMENTS;
+  window.API_HOSTS = API_HOSTS;
+  window.ResponseCache = ResponseCache;
+  window.withTenantScope = withTenantScope;
+  window.escapeHtml = escapeHtml;
+  // One store per page, shared by SideDrawerAuth (widget.html) and every SideDrawerAPI instance
+  window.sdSessionStore = new LocalStorageSessionStore();
+  window.sdResponseCache = new ResponseCache();
+}
+
+// CommonJS export for Node workers and test runners; sidedrawer-api.mjs re-exports it for ESM.
+// Outside the browser, pass `fetch`, `storage` or `sessionStore`, and `hosts` or `environment`
+// to the SideDrawerAPI constructor.
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SideDrawerAPI,
+    LocalStorageSessionStore,
+    MemorySessionStore,
+    SideDrawerAPIError,
+    AuthError,
+    NotFoundError,
+    ValidationError,
+    RateLimitError,
+    ServerError,
+    NetworkError,
+    RetryPolicy,
+    ResponseCache,
+    AUTH_ENVIRONMENTS,
+    API_HOSTS,
+    detectEnvFromJWT,
+    fetchWithNetworkErrors,
+    fetchWithRetry,
+    fetchJSONCached,
+    withTenantScope,
+    escapeHtml
+  };
 }
 
@@ -0,0 +1,33 @@
+/**
+ * SideDrawer API Helper — ES module entry
+ *
+ * Re-exports the CommonJS build of sidedrawer-api.js for `import` in Node.
+ * Browsers keep loading sidedrawer-api.js with a plain <script> tag.
+ */
+
+import sidedrawerApi from './sidedrawer-api.js';
+
+export const {
+  SideDrawerAPI,
+  LocalStorageSessionStore,
+  MemorySessionStore,
+  SideDrawerAPIError,
+  AuthError,
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  RetryPolicy,
+  ResponseCache,
+  AUTH_ENVIRONMENTS,
+  API_HOSTS,
+  detectEnvFromJWT,
+  fetchWithNetworkErrors,
+  fetchWithRetry,
+  fetchJSONCached,
+  withTenantScope,
+  escapeHtml
+} = sidedrawerApi;
+
+export default SideDrawerAPI;
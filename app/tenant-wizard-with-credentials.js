@@ -5,6 +5,7 @@
  * Dependencies:
  * - OAUTH_CONFIG (global)
  * - Stripe.js library (loaded via CDN)
+ * - SideDrawerAPIError and subclasses, fetchWithNetworkErrors, fetchWithRetry, fetchJSONCached, withTenantScope (sidedrawer-api.js)
  * - stripeService (from tenant-wizard.js or shared instance)
  */
 
@@ -333,7 +334,9 @@ class TenantCreationWizardWithCredentials {
       }
       
       console.log(`  → GET ${userApi}/accounts/open-id/${this.state.openId}`);
-      const accountResponse = await fetch(`${userApi}/accounts/open-id/${this.state.openId}`, {
+      // Account reads are scoped to the tenant picked in the widget, like SideDrawerAPI's own
+      // requests. Pricing, billing and tenant creation are not: they set up a new tenant.
+      const accountResponse = await fetch(withTenantScope(`${userApi}/accounts/open-id/${this.state.openId}`), {
         headers: {
           'Authorization': `Bearer ${this.state.accessToken}`,
           'Content-Type': 'application/json',
@@ -357,7 +360,7 @@ class TenantCreationWizardWithCredentials {
         // GET /accounts/account-id/{accountId}/settings
         if (this.state.accountId) {
           console.log(`  → GET ${userApi}/accounts/account-id/${this.state.accountId}/settings`);
-          const settingsResponse = await fetch(`${userApi}/accounts/account-id/${this.state.accountId}/settings`, {
+          const settingsResponse = await fetch(withTenantScope(`${userApi}/accounts/account-id/${this.state.accountId}/settings`), {
             headers: {
               'Authorization': `Bearer ${this.state.accessToken}`,
               'Content-Type': 'application/json',
@@ -437,23 +440,17 @@ class TenantCreationWizardWithCredentials {
       const apiUrl = `${window.sdHosts().api}/api/v1/configs/content/dictionaries/console_20210501/locale/${localeId}`;
 
       console.log(`  → GET ${apiUrl}`);
-      const response = await fetch(apiUrl);
-      if (response.ok) {
-        const data = await response.json();
-        this.state.dictionary = data;
-        this.state.databaseRegions = this.mergeDictionaryDatabaseRegions(data);
-        const rawCurrencies = data.collections?.currencies || [];
-        this.state.currencies = Array.isArray(rawCurrencies) 
-          ? rawCurrencies.filter(c => c && c.enabled === true && c.currency) 
-          : [];
-        if (data.collections?.prices) {
-          this.state.dictionaryPrices = data.collections.prices;
-        }
-        console.log(`  ✓ Dictionary loaded (${this.state.databaseRegions.length} regions, ${this.state.currencies.length} currencies)`);
-      } else {
-        console.error(`  ✗ Failed to load dictionary: ${response.status} ${response.statusText}`);
-        throw new Error(`Failed to load dictionary: ${response.status}`);
+      const data = await fetchJSONCached(apiUrl);
+      this.state.dictionary = data;
+      this.state.databaseRegions = this.mergeDictionaryDatabaseRegions(data);
+      const rawCurrencies = data.collections?.currencies || [];
+      this.state.currencies = Array.isArray(rawCurrencies) 
+        ? rawCurrencies.filter(c => c && c.enabled === true && c.currency) 
+        : [];
+      if (data.collections?.prices) {
+        this.state.dictionaryPrices = data.collections.prices;
       }
+      console.log(`  ✓ Dictionary loaded (${this.state.databaseRegions.length} regions, ${this.state.currencies.length} currencies)`);
     } catch (error) {
       console.error('❌ Error loading dictionary:', error);
       throw error;
@@ -472,7 +469,7 @@ class TenantCreationWizardWithCredentials {
       }
 
       console.log(`  → GET ${apiUrl}`);
-      const response = await fetch(apiUrl, { headers });
+      const response = await fetchWithRetry(apiUrl, { headers });
       if (response.ok) {
         const prices = await response.json();
         this.state.prices = Array.isArray(prices) ? prices.filter(p => p.active === true) : [];
@@ -508,7 +505,7 @@ class TenantCreationWizardWithCredentials {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${this.state.accessToken}`
         };
-        const response = await fetch(`${apiBase}/subscriptions/prices/price-id/${encodeURIComponent(priceId)}`, { headers });
+        const response = await fetchWithRetry(`${apiBase}/subscriptions/prices/price-id/${encodeURIComponent(priceId)}`, { headers });
         if (response.ok) {
           price = await response.json();
         } else {
@@ -865,7 +862,7 @@ class TenantCreationWizardWithCredentials {
       
       try {
         console.log(`  → GET ${subscriptionApi}/subscriptions/public-key`);
-        const response = await fetch(`${subscriptionApi}/subscriptions/public-key`, {
+        const response = await fetchWithRetry(`${subscriptionApi}/subscriptions/public-key`, {
           headers: {
             'Authorization': `Bearer ${this.state.accessToken}`,
             'Content-Type': 'application/json'
@@ -1834,7 +1831,7 @@ class TenantCreationWizardWithCredentials {
       if (!this.state.selectedPrice?.id) {
         throw new Error('No subscription plan selected');
       }
-      const signupResponse = await fetch(`${tenantApiBase}/tenant/signup`, {
+      const signupResponse = await fetchWithNetworkErrors(`${tenantApiBase}/tenant/signup`, {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${this.state.accessToken}`,
@@ -1853,8 +1850,7 @@ class TenantCreationWizardWithCredentials {
       });
 
       if (!signupResponse.ok) {
-        const errorData = await signupResponse.json().catch(() => ({}));
-        throw new Error(errorData.error || errorData.message || 'Failed to create tenant');
+        throw await SideDrawerAPIError.fromResponse(signupResponse, `${tenantApiBase}/tenant/signup`, 'Failed to create tenant');
       }
 
       const tenant = await signupResponse.json();
@@ -1875,7 +1871,9 @@ class TenantCreationWizardWithCredentials {
       
       // Extract error message
       let errorMessage = 'Failed to create tenant';
-      if (error.message) {
+      if (error instanceof SideDrawerAPIError) {
+        errorMessage = error.userMessage;
+      } else if (error.message) {
         errorMessage = error.message;
       } else if (error.response) {
         try {
@@ -6,6 +6,7 @@
  * - OAUTH_CONFIG (global)
  * - auth (SideDrawerAuth instance, global)
  * - Stripe.js library (loaded via CDN)
+ * - SideDrawerAPIError and subclasses, fetchWithNetworkErrors, fetchWithRetry, fetchJSONCached, withTenantScope (sidedrawer-api.js)
  */
 
 // Stripe Service for PCI-compliant payment processing
@@ -253,9 +254,12 @@ class TenantCreationWizard {
     try {
       const apiUrl = window.sdHosts().api + '/api/v1/configs/content/dictionaries/console_20210501/locale/en-CA';
 
-      const response = await fetch(apiUrl);
-      if (response.ok) {
-        const data = await response.json();
+      // An HTTP error leaves the dictionary unset, as before; network errors still throw
+      const data = await fetchJSONCached(apiUrl).catch(error => {
+        if (error instanceof SideDrawerAPIError && error.status) return null;
+        throw error;
+      });
+      if (data) {
         this.state.dictionary = data;
         this.state.databaseRegions = this.mergeDictionaryDatabaseRegions(data);
         // Filter currencies - match Angular's dicCurrenciesSelector (filter by enabled)
@@ -281,7 +285,7 @@ class TenantCreationWizard {
         headers['Authorization'] = `Bearer ${token}`;
       }
 
-      const response = await fetch(apiUrl, { headers });
+      const response = await fetchWithRetry(apiUrl, { headers });
       if (response.ok) {
         const prices = await response.json();
         this.state.prices = Array.isArray(prices) ? prices.filter(p => p.active === true) : [];
@@ -318,7 +322,7 @@ class TenantCreationWizard {
         const token = await auth.getAccessToken();
         const headers = { 'Content-Type': 'application/json' };
         if (token) headers['Authorization'] = `Bearer ${token}`;
-        const response = await fetch(`${apiBase}/subscriptions/prices/price-id/${encodeURIComponent(priceId)}`, { headers });
+        const response = await fetchWithRetry(`${apiBase}/subscriptions/prices/price-id/${encodeURIComponent(priceId)}`, { headers });
         if (response.ok) {
           price = await response.json();
         } else {
@@ -600,7 +604,7 @@ class TenantCreationWizard {
       
       // Try to get Stripe public key from subscriptions API
       try {
-        const response = await fetch(`${apiBase}/subscriptions/subscriptions/public-key`);
+        const response = await fetchWithRetry(`${apiBase}/subscriptions/subscriptions/public-key`);
         if (response.ok) {
           const data = await response.json();
           this.state.stripePublicKey = data.publicKey || data.stripePublicKey || data.key || null;
@@ -1608,7 +1612,8 @@ class TenantCreationWizard {
       // Get user account to find customer ID
       const userApi = window.sdHosts().userApi;
 
-      const userResponse = await fetch(`${userApi}/me`, {
+      // Scoped to the tenant picked in the widget, like SideDrawerAPI's own requests
+      const userResponse = await fetch(withTenantScope(`${userApi}/me`), {
         headers: { 'Authorization': `Bearer ${token}` }
       });
 
@@ -1956,15 +1961,14 @@ class TenantCreationWizard {
         'Content-Type': 'application/json'
       };
 
-      const response = await fetch(backendUrl, {
+      const response = await fetchWithNetworkErrors(backendUrl, {
         method: 'POST',
         headers: headers,
         body: JSON.stringify(requestBody)
       });
 
       if (!response.ok) {
-        const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-        throw new Error(errorData.error_description || errorData.error || 'Signup failed');
+        throw await SideDrawerAPIError.fromResponse(response, backendUrl, 'Signup failed');
       }
 
       const result = await response.json();
@@ -1987,12 +1991,12 @@ class TenantCreationWizard {
     } catch (error) {
       console.error('❌ Signup error:', error);
       
-      // If backend endpoint doesn't exist yet (404), show ready message
-      if (error.message.includes('404') || error.message.includes('Failed to fetch')) {
+      // If backend endpoint doesn't exist yet (404) or can't be reached, show ready message
+      if (error instanceof NotFoundError || error instanceof NetworkError) {
         this.showBackendPendingMessage(paymentMethodId);
       } else {
         this.state.loading = false;
-        this.state.validationError = error.message || 'Failed to create account';
+        this.state.validationError = SideDrawerAPIError.describe(error) || 'Failed to create account';
         this.render();
       }
     }
@@ -0,0 +1,272 @@
+/**
+ * SideDrawer Activity → Zoho CRM
+ * Writes the linked client's SideDrawer activity (shares, views, uploads) onto the open Contact,
+ * as Notes or, when the `activity_module` variable names one, as records of a custom module.
+ *
+ * Re-runs never duplicate entries: each event gets an idempotency key, and events whose key is
+ * already on the Contact are skipped. A watermark per environment, tenant, Contact and client (the
+ * newest event written) keeps each run to recent events; it lives in this browser's localStorage,
+ * and a browser without it simply re-reads the lookback window and skips what is already there.
+ *
+ * Custom modules need the fields in ACTIVITY_MODULE_FIELDS.
+ *
+ * Dependencies:
+ * - ZOHO Embedded App SDK (loaded via CDN)
+ * - zohoRecordContext (zoho-record-context.js)
+ * - SideDrawerAPIError, escapeHtml (sidedrawer-api.js)
+ */
+
+const ACTIVITY_WATERMARKS_KEY = 'sidedrawer_activity_watermarks';
+
+// How far back the first sync for a client (no watermark yet) reaches
+const ACTIVITY_SYNC_LOOKBACK_DAYS = 90;
+
+// Field API names on a custom activity module
+const ACTIVITY_MODULE_FIELDS = {
+  name: 'Name',
+  contact: 'Contact',
+  type: 'Event_Type',
+  time: 'Event_Time',
+  description: 'Description',
+  key: 'SideDrawer_Event_ID'
+};
+
+const ZOHO_RECORDS_PER_PAGE = 200;
+
+// Notes have no custom fields, so their key is the last line of the content
+const NOTE_KEY_PATTERN = /SideDrawer event ID: (\S+)/;
+
+function activityTime(activity) {
+  return activity.createdAt || activity.timestamp || activity.time;
+}
+
+/**
+ * Key identifying one SideDrawer event across runs. Events without an id fall back to
+ * what they describe, which is stable for the same event.
+ */
+function activityIdempotencyKey(activity) {
+  if (activity.id) return `sd-activity-${activity.id}`;
+  const parts = [activity.type, activityTime(activity), activity.documentId || activity.documentName, activity.description];
+  return `sd-activity-${parts.map(part => String(part ?? '').replace(/\s+/g, '_')).join('|')}`;
+}
+
+class ZohoActivitySync {
+  constructor(recordContext) {
+    this.context = recordContext;
+    this.containerId = 'zoho-activity-sync';
+    this.module = ''; // '' writes Notes
+    this.running = false;
+    this.clientId = null; // client the last result belongs to
+    this.result = null; // { written, skipped, failed, error }
+  }
+
+  get api() {
+    return this.context.api;
+  }
+
+  /**
+   * @param {object} settings
+   * @param {string} [settings.module] - Custom module API name; empty for Notes
+   */
+  configure({ module } = {}) {
+    if (typeof module === 'string') this.module = module.trim();
+  }
+
+  /**
+   * Watermarks are per environment, tenant, Zoho record and client, so a browser used for
+   * several tenants, sandboxes or Contacts linked to one client never skips events for another
+   */
+  watermarkKey(clientId) {
+    const tenant = this.api.getSelectedTenant();
+    return [this.api.getEnvironment(), tenant ? tenant.tenantId : '', this.context.recordId, clientId].join(':');
+  }
+
+  getWatermark(clientId) {
+    try {
+      return (JSON.parse(localStorage.getItem(ACTIVITY_WATERMARKS_KEY)) || {})[this.watermarkKey(clientId)] || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  setWatermark(clientId, time) {
+    let watermarks = {};
+    try {
+      watermarks = JSON.parse(localStorage.getItem(ACTIVITY_WATERMARKS_KEY)) || {};
+    } catch (e) {
+      // Corrupt value: start over
+    }
+    watermarks[this.watermarkKey(clientId)] = time;
+    localStorage.setItem(ACTIVITY_WATERMARKS_KEY, JSON.stringify(watermarks));
+  }
+
+  /**
+   * Write the client's activity since the watermark onto the Contact, oldest first.
+   * The watermark only advances past events that were written or already there, so a
+   * failure is retried on the next run.
+   */
+  async run() {
+    const { entity, recordId, client } = this.context;
+    if (this.running || !client || entity !== 'Contacts') return;
+
+    this.running = true;
+    this.clientId = client.id;
+    this.result = null;
+    this.render();
+
+    const result = { written: 0, skipped: 0, failed: 0, error: null };
+    try {
+      const watermark = this.getWatermark(client.id);
+      const startDate = watermark ||
+        new Date(Date.now() - ACTIVITY_SYNC_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+      const activities = [];
+      for await (const activity of this.api.iterateActivity({ clientId: client.id, startDate })) {
+        activities.push(activity);
+      }
+      activities.sort((a, b) => new Date(activityTime(a)) - new Date(activityTime(b)));
+
+      const existing = activities.length ? await this.existingKeys(recordId) : new Set();
+      let newest = watermark;
+      for (const activity of activities) {
+        const key = activityIdempotencyKey(activity);
+        if (existing.has(key)) {
+          result.skipped++;
+        } else {
+          try {
+            await this.writeEntry(recordId, activity, key);
+            existing.add(key);
+            result.written++;
+          } catch (error) {
+            console.error(`[SideDrawer Widget] ❌ Could not write activity ${key} to Zoho:`, error);
+            result.failed++;
+            result.error = error;
+            break;
+          }
+        }
+        newest = activityTime(activity) || newest;
+      }
+
+      if (newest && newest !== watermark) this.setWatermark(client.id, newest);
+      console.log(`[SideDrawer Widget] Activity sync for ${client.id}: ${result.written} written, ${result.skipped} already in Zoho, ${result.failed} failed`);
+    } catch (error) {
+      console.error('[SideDrawer Widget] ❌ Activity sync failed:', error);
+      result.error = error;
+    } finally {
+      this.running = false;
+    }
+    this.result = result;
+    this.render();
+  }
+
+  /**
+   * Idempotency keys of the entries already on the Contact
+   */
+  async existingKeys(recordId) {
+    const keys = new Set();
+    for (let page = 1; ; page++) {
+      const response = this.module
+        ? await ZOHO.CRM.API.searchRecord({
+          Entity: this.module,
+          Type: 'criteria',
+          Query: `(${ACTIVITY_MODULE_FIELDS.contact}:equals:${recordId})`,
+          page,
+          per_page: ZOHO_RECORDS_PER_PAGE
+        })
+        : await ZOHO.CRM.API.getRelatedRecords({
+          Entity: 'Contacts',
+          RecordID: recordId,
+          RelatedList: 'Notes',
+          page,
+          per_page: ZOHO_RECORDS_PER_PAGE
+        });
+      const records = (response && response.data) || [];
+
+      records.forEach(record => {
+        const key = this.module
+          ? record[ACTIVITY_MODULE_FIELDS.key]
+          : ((record.Note_Content || '').match(NOTE_KEY_PATTERN) || [])[1];
+        if (key) keys.add(key);
+      });
+      if (records.length < ZOHO_RECORDS_PER_PAGE || !(response.info && response.info.more_records)) {
+        return keys;
+      }
+    }
+  }
+
+  async writeEntry(recordId, activity, key) {
+    const actor = activity.actorName || (typeof activity.actor === 'string' ? activity.actor : activity.actor && activity.actor.name) || 'Someone';
+    const title = `SideDrawer: ${actor} ${activity.description || activity.type || 'activity'}`.slice(0, 120);
+    const time = activityTime(activity);
+    const details = [
+      `Event: ${activity.type || 'activity'}`,
+      time ? `When: ${new Date(time).toLocaleString()}` : null,
+      activity.documentName ? `Document: ${activity.documentName}` : null
+    ].filter(Boolean);
+
+    const response = this.module
+      ? await ZOHO.CRM.API.insertRecord({
+        Entity: this.module,
+        APIData: {
+          [ACTIVITY_MODULE_FIELDS.name]: title,
+          [ACTIVITY_MODULE_FIELDS.contact]: recordId,
+          [ACTIVITY_MODULE_FIELDS.type]: activity.type || null,
+          [ACTIVITY_MODULE_FIELDS.time]: time ? new Date(time).toISOString().replace(/\.\d{3}Z$/, '+00:00') : null,
+          [ACTIVITY_MODULE_FIELDS.description]: details.join('\n'),
+          [ACTIVITY_MODULE_FIELDS.key]: key
+        },
+        Trigger: []
+      })
+      : await ZOHO.CRM.API.addNotes({
+        Entity: 'Contacts',
+        RecordID: recordId,
+        Title: title,
+        Content: [...details, `SideDrawer event ID: ${key}`].join('\n')
+      });
+
+    const saved = response && response.data && response.data[0];
+    if (!saved || saved.code !== 'SUCCESS') {
+      throw new Error(`Zoho CRM did not save the entry: ${(saved && (saved.message || saved.code)) || 'no response'}`);
+    }
+  }
+
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+    const client = this.context.client;
+    if (!client || this.context.entity !== 'Contacts') {
+      container.innerHTML = '';
+      return;
+    }
+
+    const watermark = this.getWatermark(client.id);
+    const result = this.clientId === client.id ? this.result : null;
+    const target = this.module ? escapeHtml(this.module) : 'Notes';
+    container.innerHTML = `
+      <div class="record-section">
+        <div class="flex-between">
+          <p class="record-context-heading">Activity in Zoho</p>
+          <button class="btn btn-small" onclick="zohoActivitySync.run()" ${this.running ? 'disabled' : ''}>
+            ${this.running ? 'Syncing...' : `🔄 Sync to ${target}`}
+          </button>
+        </div>
+        <p class="text-small-gray">
+          ${watermark ? `Synced through ${escapeHtml(new Date(watermark).toLocaleString())}` : 'Not synced from this browser yet'}
+        </p>
+        ${result ? `
+          <p class="text-small-gray">${result.written} added · ${result.skipped} already in Zoho${result.failed ? ` · ${result.failed} failed` : ''}</p>
+        ` : ''}
+        ${result && result.error ? `
+          <div class="error-message mt-10">${escapeHtml(SideDrawerAPIError.describe(result.error))}</div>
+        ` : ''}
+      </div>
+    `;
+  }
+}
+
+// Create global instance
+const zohoActivitySync = new ZohoActivitySync(zohoRecordContext);
+zohoRecordContext.addSection(zohoActivitySync);
+
+// Export for use in widget.html
+window.zohoActivitySync = zohoActivitySync;
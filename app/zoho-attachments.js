@@ -0,0 +1,362 @@
+/**
+ * Zoho CRM Attachments → SideDrawer
+ * Lists the open record's Zoho attachments so the advisor can copy several at once into a
+ * folder of the linked SideDrawer client. Files are read and uploaded one at a time and
+ * reported file by file. A file is skipped when the folder already has a document with the same
+ * name and size, or when the same content (by SHA-256) came earlier in the batch.
+ *
+ * The documents API returns no content hash, so files already in SideDrawer can only be
+ * recognised by name and size; hashes are compared within a batch only.
+ *
+ * Dependencies:
+ * - ZOHO Embedded App SDK (loaded via CDN)
+ * - zohoRecordContext (zoho-record-context.js)
+ * - SideDrawerAPI (readPage), SideDrawerAPIError, escapeHtml (sidedrawer-api.js)
+ */
+
+const ZOHO_ATTACHMENTS_PER_PAGE = 200;
+
+// Per-file result labels; `message` (duplicate's match, failure reason) is appended
+const ATTACHMENT_RESULT_LABELS = {
+  pending: 'Waiting',
+  reading: 'Reading from Zoho...',
+  uploading: 'Uploading...',
+  uploaded: '✓ Uploaded',
+  duplicate: 'Skipped: same file as',
+  failed: '✗ Failed:'
+};
+
+// Hashing copies the whole file into memory again, so larger files are compared by name and size only
+const ATTACHMENT_HASH_MAX_BYTES = 50 * 1024 * 1024;
+
+/**
+ * SHA-256 of a blob as hex, or null when it is over ATTACHMENT_HASH_MAX_BYTES
+ */
+async function sha256Hex(blob) {
+  if (blob.size > ATTACHMENT_HASH_MAX_BYTES) return null;
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/** Duplicate-check key for a file by name (case-insensitive) and size */
+function nameSizeKey(name, size) {
+  return `file:${String(name).toLowerCase()}:${Number(size)}`;
+}
+
+class ZohoAttachmentImporter {
+  constructor(recordContext) {
+    this.context = recordContext;
+    this.containerId = 'zoho-attachments';
+    this.reset();
+  }
+
+  reset() {
+    this.recordKey = null; // entity:recordId:clientId the state below belongs to
+    this.isOpen = false;
+    this.loading = false;
+    this.running = false;
+    this.error = null;
+    this.attachments = [];
+    this.folders = [];
+    this.selected = new Set();
+    this.folderId = '';
+    this.results = new Map(); // attachment id → { status, message }
+  }
+
+  get api() {
+    return this.context.api;
+  }
+
+  /**
+   * Open the picker for the current record, listing its attachments and the client's folders
+   */
+  async show() {
+    const { entity, recordId, client } = this.context;
+    if (!client || this.running) return;
+    const key = `${entity}:${recordId}:${client.id}`;
+    if (this.recordKey !== key) {
+      this.reset();
+      this.recordKey = key;
+    }
+
+    this.isOpen = true;
+    this.loading = true;
+    this.error = null;
+    this.render();
+    try {
+      const [attachments, foldersPage] = await Promise.all([
+        this.listAttachments(entity, recordId),
+        this.api.getFolders()
+      ]);
+      this.attachments = attachments;
+      this.folders = SideDrawerAPI.readPage(foldersPage).items;
+      // Drop selections for attachments that have since been removed in Zoho
+      const ids = new Set(this.attachments.map(attachment => String(attachment.id)));
+      this.selected.forEach(id => { if (!ids.has(id)) this.selected.delete(id); });
+    } catch (error) {
+      console.error('[SideDrawer Widget] ❌ Could not list Zoho attachments:', error);
+      this.error = error;
+    } finally {
+      this.loading = false;
+    }
+    this.render();
+  }
+
+  /**
+   * Every attachment on the record, a page at a time
+   */
+  async listAttachments(entity, recordId) {
+    const attachments = [];
+    for (let page = 1; ; page++) {
+      const response = await ZOHO.CRM.API.getRelatedRecords({
+        Entity: entity,
+        RecordID: recordId,
+        RelatedList: 'Attachments',
+        page,
+        per_page: ZOHO_ATTACHMENTS_PER_PAGE
+      });
+      const records = (response && response.data) || [];
+      attachments.push(...records);
+      if (records.length < ZOHO_ATTACHMENTS_PER_PAGE || !(response.info && response.info.more_records)) {
+        return attachments;
+      }
+    }
+  }
+
+  hide() {
+    if (this.running) return;
+    this.isOpen = false;
+    this.render();
+  }
+
+  toggle(attachmentId, checked) {
+    if (checked) this.selected.add(String(attachmentId));
+    else this.selected.delete(String(attachmentId));
+    this.render();
+  }
+
+  selectAll(checked) {
+    this.selected = new Set(checked ? this.attachments.map(attachment => String(attachment.id)) : []);
+    this.render();
+  }
+
+  setFolder(folderId) {
+    this.folderId = folderId;
+  }
+
+  /**
+   * Copy the selected attachments into the chosen folder, one file at a time
+   */
+  async importSelected() {
+    if (this.running || this.selected.size === 0) return;
+    const picked = this.attachments.filter(attachment => this.selected.has(String(attachment.id)));
+    this.running = true;
+    this.results.clear();
+    picked.forEach(attachment => this.results.set(String(attachment.id), { status: 'pending' }));
+    this.render();
+
+    try {
+      const known = await this.existingFiles(this.folderId);
+      for (const attachment of picked) {
+        await this.importOne(attachment, known);
+      }
+    } catch (error) {
+      // Without the folder's documents nothing can be checked for duplicates, so nothing is uploaded
+      const message = `Could not check the folder for duplicates: ${SideDrawerAPIError.describe(error)}`;
+      picked.forEach(attachment => this.results.set(String(attachment.id), { status: 'failed', message }));
+    } finally {
+      this.running = false;
+      this.selected.clear();
+    }
+
+    this.render();
+    // Show the new files in the client's document list
+    if (picked.some(attachment => this.results.get(String(attachment.id)).status === 'uploaded')) {
+      this.context.load();
+    }
+  }
+
+  /**
+   * @param {object} attachment - Zoho attachment record
+   * @param {Map<string, string>} known - Name-and-size or content key → name of the file that
+   *   has it (see nameSizeKey); uploads are added
+   */
+  async importOne(attachment, known) {
+    const id = String(attachment.id);
+    const setResult = (status, message) => {
+      this.results.set(id, { status, message });
+      this.render();
+    };
+
+    try {
+      setResult('reading');
+      // Record attachments download through the Attachments API (GET {module}/{record}/Attachments/{id});
+      // getFile() only serves files from file-upload fields
+      const response = await ZOHO.CRM.API.getAttachments({
+        Entity: this.context.entity,
+        RecordID: this.context.recordId,
+        RelatedRecordID: attachment.id
+      });
+      const blob = response instanceof Blob ? response : response && response._body;
+      if (!(blob instanceof Blob)) {
+        throw new Error('Zoho CRM returned no file content');
+      }
+
+      const name = attachment.File_Name || 'Attachment';
+      const hash = await sha256Hex(blob);
+      const keys = [nameSizeKey(name, blob.size), ...(hash ? [`sha256:${hash}`] : [])];
+      const match = keys.find(key => known.has(key));
+      if (match) {
+        setResult('duplicate', known.get(match));
+        return;
+      }
+
+      setResult('uploading');
+      const formData = new FormData();
+      formData.append('file', new File([blob], name, { type: blob.type }));
+      formData.append('title', name);
+      formData.append('clientId', this.context.client.id);
+      if (this.folderId) formData.append('folderId', this.folderId);
+      await this.api.uploadDocument(formData);
+
+      keys.forEach(key => known.set(key, name));
+      setResult('uploaded');
+    } catch (error) {
+      console.error(`[SideDrawer Widget] ❌ Could not copy attachment ${attachment.File_Name}:`, error);
+      setResult('failed', SideDrawerAPIError.describe(error));
+    }
+  }
+
+  /**
+   * Name-and-size keys of the documents already in the folder, mapped to their names
+   */
+  async existingFiles(folderId) {
+    const params = { clientId: this.context.client.id };
+    if (folderId) params.folderId = folderId;
+
+    const files = new Map();
+    for await (const doc of this.api.iterateDocuments(params)) {
+      const name = doc.name || doc.title;
+      if (name && typeof doc.size === 'number') files.set(nameSizeKey(name, doc.size), name);
+    }
+    return files;
+  }
+
+  folderLabel(folder) {
+    const byId = new Map(this.folders.map(f => [f.id, f]));
+    const names = [];
+    for (let current = folder; current && names.length < 20; current = byId.get(current.parentId)) {
+      names.unshift(current.name);
+    }
+    return names.join(' / ');
+  }
+
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+    const client = this.context.client;
+    const key = client && `${this.context.entity}:${this.context.recordId}:${client.id}`;
+
+    if (!this.isOpen || key !== this.recordKey) {
+      container.innerHTML = client ? `
+        <button class="btn btn-small" onclick="zohoAttachments.show()">📎 Attach Zoho files</button>
+      ` : '';
+      return;
+    }
+
+    let body;
+    if (this.loading) {
+      body = `
+        <div class="loading loading-padded">
+          <div class="spinner"></div>
+          <p>Loading attachments...</p>
+        </div>
+      `;
+    } else if (this.error) {
+      body = `
+        <div class="error-message">Could not load this record's attachments: ${escapeHtml(SideDrawerAPIError.describe(this.error))}</div>
+        <button class="btn btn-small" onclick="zohoAttachments.show()">Try Again</button>
+      `;
+    } else if (this.attachments.length === 0) {
+      body = '<p class="text-muted-sm">This record has no attachments.</p>';
+    } else {
+      const disabled = this.running ? 'disabled' : '';
+      body = `
+        <label class="attachment-option text-small-gray">
+          <input type="checkbox" onchange="zohoAttachments.selectAll(this.checked)" ${disabled}
+            ${this.selected.size === this.attachments.length ? 'checked' : ''}>
+          Select all
+        </label>
+        <ul class="record-document-list">
+          ${this.attachments.map(attachment => this.attachmentHtml(attachment, disabled)).join('')}
+        </ul>
+        <p class="text-small-gray">
+          Files the folder already has with the same name and size, and repeats within this selection, are skipped.
+        </p>
+        <div class="attachment-actions">
+          <select class="wizard-form-select" onchange="zohoAttachments.setFolder(this.value)" ${disabled}>
+            <option value="">No folder</option>
+            ${this.folders.map(folder => `
+              <option value="${escapeHtml(folder.id)}" ${folder.id === this.folderId ? 'selected' : ''}>${escapeHtml(this.folderLabel(folder))}</option>
+            `).join('')}
+          </select>
+          <button class="btn btn-success btn-small" onclick="zohoAttachments.importSelected()"
+            ${this.running || this.selected.size === 0 ? 'disabled' : ''}>
+            ${this.running ? 'Uploading...' : `Upload ${this.selected.size || ''} to SideDrawer`}
+          </button>
+        </div>
+        ${this.summaryHtml()}
+      `;
+    }
+
+    container.innerHTML = `
+      <div class="record-section">
+        <div class="flex-between">
+          <p class="record-context-heading">Zoho attachments</p>
+          <button class="btn btn-small" onclick="zohoAttachments.hide()" ${this.running ? 'disabled' : ''}>Close</button>
+        </div>
+        ${body}
+      </div>
+    `;
+  }
+
+  attachmentHtml(attachment, disabled) {
+    const id = String(attachment.id);
+    const result = this.results.get(id);
+    const size = Number(attachment.Size);
+    const detail = result
+      ? `<span class="attachment-result attachment-result-${result.status}">
+          ${ATTACHMENT_RESULT_LABELS[result.status]}${result.message ? ` ${escapeHtml(result.message)}` : ''}
+        </span>`
+      : `<span class="text-small-gray">${size ? `${Math.max(1, Math.round(size / 1024))} KB` : ''}</span>`;
+    return `
+      <li class="record-document">
+        <label class="attachment-option record-document-name">
+          <input type="checkbox" value="${escapeHtml(id)}" onchange="zohoAttachments.toggle(this.value, this.checked)"
+            ${this.selected.has(id) ? 'checked' : ''} ${disabled}>
+          ${escapeHtml(attachment.File_Name || 'Attachment')}
+        </label>
+        ${detail}
+      </li>
+    `;
+  }
+
+  /** Counts for the last run, once it has finished */
+  summaryHtml() {
+    if (this.running || this.results.size === 0) return '';
+    const counts = { uploaded: 0, duplicate: 0, failed: 0 };
+    this.results.forEach(({ status }) => { if (status in counts) counts[status]++; });
+    return `
+      <p class="text-small-gray mt-10">
+        ${counts.uploaded} uploaded · ${counts.duplicate} skipped as duplicates · ${counts.failed} failed
+      </p>
+    `;
+  }
+}
+
+// Create global instance
+const zohoAttachments = new ZohoAttachmentImporter(zohoRecordContext);
+zohoRecordContext.addSection(zohoAttachments);
+
+// Export for use in widget.html
+window.zohoAttachments = zohoAttachments;
@@ -0,0 +1,438 @@
+/**
+ * Zoho Contact ↔ SideDrawer Client Sync
+ * Keeps every linked Contact (one with a SideDrawer ID field value) and its SideDrawer client in
+ * step, in both directions, for the field mapping's fields that can be written back to Zoho
+ * (FieldMapping.syncableFields in zoho-field-mapping.js).
+ *
+ * Each pair keeps a baseline: both sides' last-modified times and the field values as of the
+ * last sync. A side whose last-modified time has not moved is left alone. For a side that has
+ * moved, a field that differs from the baseline changed there and is copied across; a field
+ * changed on both sides is a conflict, listed for someone to resolve rather than overwritten.
+ * Pairs seen for the first time have no baseline: matching fields become it, and differing
+ * fields are conflicts, since there is no telling which side changed.
+ *
+ * Runs on demand ("Sync now") or every `contact_sync_interval` minutes while a widget is open;
+ * a Web Lock keeps open tabs from running at the same time. Baselines and conflicts live in this
+ * browser's localStorage, kept apart per environment, tenant and SideDrawer user.
+ *
+ * Dependencies:
+ * - ZOHO Embedded App SDK (loaded via CDN)
+ * - zohoRecordContext (zoho-record-context.js): SDK state, ID field and field mapping
+ * - describeMappingErrors (zoho-field-mapping.js)
+ * - SideDrawerAPIError, NotFoundError, escapeHtml (sidedrawer-api.js)
+ */
+
+const CONTACT_SYNC_STATE_KEY = 'sidedrawer_contact_sync';
+const CONTACT_SYNC_LOCK = 'sidedrawer-contact-sync';
+const ZOHO_CONTACTS_PER_PAGE = 200;
+
+function clientModifiedTime(client) {
+  return client.updatedAt || client.modifiedAt || client.updated_at || null;
+}
+
+/** True when `time` is later than `since`, or when either is unknown */
+function changedSince(time, since) {
+  return !time || !since || new Date(time) > new Date(since);
+}
+
+function sameValue(a, b) {
+  return String(a ?? '') === String(b ?? '');
+}
+
+class ZohoContactSync {
+  constructor(recordContext) {
+    this.context = recordContext;
+    this.intervalMinutes = 0;
+    this.timer = null;
+    this.running = false;
+    this.summary = null; // last run: { checked, unchanged, toSideDrawer, toZoho, conflicts, failed, errors }
+    this.error = null;
+    this.busyConflict = null;
+  }
+
+  get api() {
+    return this.context.api;
+  }
+
+  get mapping() {
+    return this.context.mapping;
+  }
+
+  /**
+   * @param {object} settings
+   * @param {number|string} [settings.intervalMinutes] - Run this often while the widget is open; 0 turns it off
+   */
+  configure({ intervalMinutes } = {}) {
+    if (intervalMinutes == null || intervalMinutes === '') return;
+    const minutes = Number(intervalMinutes);
+    if (!Number.isFinite(minutes) || minutes < 0) {
+      console.warn('[SideDrawer Widget] ⚠ Ignoring contact_sync_interval:', intervalMinutes);
+      return;
+    }
+    this.intervalMinutes = minutes;
+    if (this.timer) this.schedule();
+  }
+
+  /**
+   * Storage key for the signed-in user's sync state in the selected environment and tenant, so a
+   * tenant or account switch never reads, or prunes, another one's baselines and conflicts
+   */
+  stateKey() {
+    const claims = this.api.decodeJWT(this.api.getAccessToken()) || {};
+    const tenant = this.api.getSelectedTenant();
+    return [CONTACT_SYNC_STATE_KEY, this.api.getEnvironment(), tenant ? tenant.tenantId : '', claims.sub || ''].join(':');
+  }
+
+  loadState() {
+    try {
+      const state = JSON.parse(localStorage.getItem(this.stateKey()));
+      if (state && state.pairs && state.conflicts) return state;
+    } catch (e) {
+      // Corrupt value: start over
+    }
+    return { lastRun: null, pairs: {}, conflicts: {} };
+  }
+
+  saveState(state) {
+    localStorage.setItem(this.stateKey(), JSON.stringify(state));
+  }
+
+  /**
+   * (Re)start the timer for scheduled runs
+   */
+  schedule() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.intervalMinutes > 0) {
+      this.timer = setInterval(() => this.run({ scheduled: true }), this.intervalMinutes * 60 * 1000);
+    }
+  }
+
+  /**
+   * Sync every linked Contact. A scheduled run is skipped while another tab holds the lock.
+   */
+  async run({ scheduled = false } = {}) {
+    if (this.running || !this.context.sdkReady || !this.api.isAuthenticated()) return;
+    // Claimed before anything is awaited, so a second trigger meanwhile returns above
+    this.running = true;
+    try {
+      if (typeof navigator !== 'undefined' && navigator.locks && navigator.locks.request) {
+        return await navigator.locks.request(CONTACT_SYNC_LOCK, { ifAvailable: scheduled }, lock => {
+          if (!lock) {
+            console.log('[SideDrawer Widget] Contact sync already running in another tab');
+            return;
+          }
+          return this.syncAll();
+        });
+      }
+      return await this.syncAll();
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * One sync of every linked Contact; run() guards against overlapping calls
+   */
+  async syncAll() {
+    this.error = null;
+    this.render();
+
+    const state = this.loadState();
+    const summary = { checked: 0, unchanged: 0, toSideDrawer: 0, toZoho: 0, conflicts: 0, failed: 0, errors: [] };
+    try {
+      const linked = new Map(); // clientId → recordId, for every pair that still exists
+      for await (const record of this.linkedContacts()) {
+        const clientId = String(record[this.context.idField]);
+        try {
+          const client = await this.api.getClient(clientId);
+          linked.set(clientId, String(record.id));
+          summary.checked++;
+          await this.syncPair(record, client, state, summary);
+        } catch (error) {
+          // Skipped, but its pair is kept: the client may be deleted, or only out of reach from
+          // the selected tenant, and losing the baseline would turn every difference into a conflict
+          if (error instanceof NotFoundError) {
+            linked.set(clientId, String(record.id));
+            continue;
+          }
+          console.error(`[SideDrawer Widget] ❌ Could not sync Contact ${record.id}:`, error);
+          linked.set(clientId, String(record.id));
+          summary.failed++;
+          summary.errors.push(`${this.contactName(record)}: ${SideDrawerAPIError.describe(error)}`);
+        }
+      }
+      this.prune(state, linked);
+
+      summary.conflicts = Object.keys(state.conflicts).length;
+      state.lastRun = new Date().toISOString();
+      console.log('[SideDrawer Widget] Contact sync:', summary);
+    } catch (error) {
+      console.error('[SideDrawer Widget] ❌ Contact sync failed:', error);
+      this.error = error;
+    } finally {
+      this.saveState(state);
+      this.running = false;
+    }
+    this.summary = summary;
+    this.render();
+    // Show the synced values on the open record
+    if ((summary.toSideDrawer || summary.toZoho) && this.context.recordId) {
+      this.context.load();
+    }
+  }
+
+  /**
+   * Contacts that carry a SideDrawer client ID, a page at a time. COQL filters on the ID field,
+   * so unlinked Contacts are never downloaded.
+   */
+  async *linkedContacts() {
+    const idField = this.context.idField;
+    const fields = new Set(['id', 'Modified_Time', 'Full_Name', 'First_Name', 'Last_Name', 'Email', idField]);
+    this.mapping.fields.forEach(field => field.zoho.forEach(name => fields.add(name)));
+    for (let offset = 0; ; offset += ZOHO_CONTACTS_PER_PAGE) {
+      const response = await ZOHO.CRM.API.coql({
+        select_query: `select ${[...fields].join(', ')} from Contacts where ${idField} is not null ` +
+          `order by id limit ${offset}, ${ZOHO_CONTACTS_PER_PAGE}`
+      });
+      const records = (response && response.data) || [];
+      yield* records;
+      if (records.length < ZOHO_CONTACTS_PER_PAGE || !(response.info && response.info.more_records)) return;
+    }
+  }
+
+  /**
+   * Forget baselines and conflicts of pairs that no longer exist: the Contact was unlinked or
+   * points at another client
+   */
+  prune(state, linked) {
+    Object.entries(state.pairs).forEach(([clientId, pair]) => {
+      if (linked.get(clientId) !== pair.recordId) delete state.pairs[clientId];
+    });
+    Object.entries(state.conflicts).forEach(([key, conflict]) => {
+      if (linked.get(conflict.clientId) !== conflict.recordId) delete state.conflicts[key];
+    });
+  }
+
+  /**
+   * Compare one Contact with its client, copy one-sided changes across, and record conflicts
+   */
+  async syncPair(record, client, state, summary) {
+    const clientId = String(client.id);
+    const pair = state.pairs[clientId];
+    const zohoModified = record.Modified_Time || null;
+    const clientModified = clientModifiedTime(client);
+    const zohoChanged = !pair || changedSince(zohoModified, pair.zohoModified);
+    const clientChanged = !pair || changedSince(clientModified, pair.clientModified);
+    if (!zohoChanged && !clientChanged) {
+      summary.unchanged++;
+      return;
+    }
+
+    const { data: zohoValues, report } = this.mapping.map(record);
+    if (!report.valid) {
+      throw new Error(`Contact fields fail the field mapping: ${describeMappingErrors(report)}`);
+    }
+
+    const base = pair ? pair.values : null;
+    const toSideDrawer = {};
+    const toZoho = {};
+    const values = { ...(base || {}) };
+    for (const field of this.mapping.syncableFields()) {
+      const key = `${clientId}:${field}`;
+      const zohoValue = zohoValues[field] ?? null;
+      const clientValue = client[field] ?? null;
+      if (sameValue(zohoValue, clientValue)) {
+        delete state.conflicts[key];
+        values[field] = zohoValue;
+        continue;
+      }
+
+      let fromZoho;
+      let fromClient;
+      if (base) {
+        fromZoho = zohoChanged && !sameValue(zohoValue, base[field]);
+        fromClient = clientChanged && !sameValue(clientValue, base[field]);
+      } else {
+        // Without a baseline nothing shows which side changed, so differing fields are conflicts
+        fromZoho = fromClient = true;
+      }
+
+      // A field stays in conflict until it is resolved, whatever either side does meanwhile
+      if (fromZoho === fromClient || state.conflicts[key]) {
+        state.conflicts[key] = {
+          clientId,
+          recordId: String(record.id),
+          name: this.contactName(record),
+          field,
+          zohoField: this.mapping.zohoFieldsFor(field)[0],
+          zohoValue,
+          clientValue,
+          detectedAt: (state.conflicts[key] && state.conflicts[key].detectedAt) || new Date().toISOString()
+        };
+      } else if (fromZoho) {
+        toSideDrawer[field] = zohoValue;
+        values[field] = zohoValue;
+      } else {
+        toZoho[field] = clientValue;
+        values[field] = clientValue;
+      }
+    }
+
+    const next = { recordId: String(record.id), zohoModified, clientModified, values };
+    if (Object.keys(toSideDrawer).length) {
+      const updated = await this.api.updateClient(clientId, toSideDrawer);
+      next.clientModified = clientModifiedTime((updated && updated.data) || updated || {}) || new Date().toISOString();
+      summary.toSideDrawer++;
+    }
+    if (Object.keys(toZoho).length) {
+      next.zohoModified = await this.writeContact(record.id, toZoho) || new Date().toISOString();
+      summary.toZoho++;
+    }
+    state.pairs[clientId] = next;
+  }
+
+  /**
+   * Write client values to a Contact through the field mapping
+   * @returns {Promise<string|null>} The Contact's new Modified_Time, when Zoho reports it
+   */
+  async writeContact(recordId, clientData) {
+    const response = await ZOHO.CRM.API.updateRecord({
+      Entity: 'Contacts',
+      APIData: { id: String(recordId), ...this.mapping.toZoho(clientData) },
+      Trigger: []
+    });
+    const result = response && response.data && response.data[0];
+    if (!result || result.code !== 'SUCCESS') {
+      throw new Error(`Zoho CRM did not save the Contact: ${(result && (result.message || result.code)) || 'no response'}`);
+    }
+    return (result.details && result.details.Modified_Time) || null;
+  }
+
+  /**
+   * Settle a conflict by keeping one side's value and writing it to the other
+   * @param {string} key - `clientId:field`
+   * @param {'zoho'|'sidedrawer'} keep
+   */
+  async resolve(key, keep) {
+    const state = this.loadState();
+    const conflict = state.conflicts[key];
+    if (!conflict || this.busyConflict || this.running) return;
+
+    this.busyConflict = key;
+    this.error = null;
+    this.render();
+    try {
+      const pair = {};
+      let value;
+      if (keep === 'zoho') {
+        value = conflict.zohoValue;
+        const updated = await this.api.updateClient(conflict.clientId, { [conflict.field]: value });
+        pair.clientModified = clientModifiedTime((updated && updated.data) || updated || {}) || new Date().toISOString();
+      } else {
+        value = conflict.clientValue;
+        pair.zohoModified = await this.writeContact(conflict.recordId, { [conflict.field]: value }) || new Date().toISOString();
+      }
+
+      // Re-read the state, which a scheduled run may have saved while this was writing
+      const latest = this.loadState();
+      const current = latest.pairs[conflict.clientId] ||
+        { recordId: conflict.recordId, zohoModified: null, clientModified: null, values: {} };
+      latest.pairs[conflict.clientId] = { ...current, ...pair, values: { ...current.values, [conflict.field]: value } };
+      delete latest.conflicts[key];
+      this.saveState(latest);
+    } catch (error) {
+      console.error('[SideDrawer Widget] ❌ Could not resolve sync conflict:', error);
+      this.error = error;
+    } finally {
+      this.busyConflict = null;
+    }
+    this.render();
+  }
+
+  contactName(record) {
+    return record.Full_Name || [record.First_Name, record.Last_Name].filter(Boolean).join(' ') || record.Email || `Contact ${record.id}`;
+  }
+
+  /**
+   * Fill the connected view's #contact-sync and start the schedule. Only inside Zoho CRM.
+   */
+  mount() {
+    if (this.context.sdkReady && !this.timer) this.schedule();
+    this.render();
+  }
+
+  render() {
+    const container = document.getElementById('contact-sync');
+    if (!container) return;
+    if (!this.context.sdkReady) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const state = this.loadState();
+    const conflicts = Object.entries(state.conflicts);
+    const summary = this.summary;
+    container.innerHTML = `
+      <div class="record-section">
+        <div class="flex-between">
+          <p class="record-context-heading">Contact ↔ client sync</p>
+          <button class="btn btn-small" onclick="zohoContactSync.run()" ${this.running ? 'disabled' : ''}>
+            ${this.running ? 'Syncing...' : '🔄 Sync now'}
+          </button>
+        </div>
+        <p class="text-small-gray">
+          ${state.lastRun ? `Last run ${escapeHtml(new Date(state.lastRun).toLocaleString())}` : 'Not run from this browser yet'}
+          ${this.intervalMinutes > 0 ? ` · runs every ${this.intervalMinutes} min while open` : ''}
+        </p>
+        ${summary ? `
+          <p class="text-small-gray">
+            ${summary.checked} linked · ${summary.toSideDrawer} updated in SideDrawer · ${summary.toZoho} updated in Zoho${summary.failed ? ` · ${summary.failed} failed` : ''}
+          </p>
+          ${summary.errors.length ? `
+            <ul class="mapping-errors">${summary.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>
+          ` : ''}
+        ` : ''}
+        ${this.error ? `<div class="error-message mt-10">${escapeHtml(SideDrawerAPIError.describe(this.error))}</div>` : ''}
+        ${conflicts.length ? `
+          <p class="record-context-heading">Conflicts (${conflicts.length})</p>
+          <p class="text-small-gray">Changed on both sides since the last sync. Pick the value to keep.</p>
+          <table class="mapping-preview">
+            <thead><tr><th>Contact</th><th>Zoho</th><th>SideDrawer</th></tr></thead>
+            <tbody>
+              ${conflicts.map(([key, conflict]) => this.conflictHtml(key, conflict)).join('')}
+            </tbody>
+          </table>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  conflictHtml(key, conflict) {
+    const disabled = this.busyConflict || this.running ? 'disabled' : '';
+    const keyArg = escapeHtml(JSON.stringify(key));
+    return `
+      <tr>
+        <td>${escapeHtml(conflict.name)}<div class="text-small-gray">${escapeHtml(conflict.field)}</div></td>
+        <td>
+          ${conflict.zohoValue == null ? '<span class="text-small-gray">(empty)</span>' : escapeHtml(conflict.zohoValue)}
+          <div><button class="btn btn-small" onclick="zohoContactSync.resolve(${keyArg}, 'zoho')" ${disabled}>Keep</button></div>
+        </td>
+        <td>
+          ${conflict.clientValue == null ? '<span class="text-small-gray">(empty)</span>' : escapeHtml(conflict.clientValue)}
+          <div><button class="btn btn-small" onclick="zohoContactSync.resolve(${keyArg}, 'sidedrawer')" ${disabled}>Keep</button></div>
+        </td>
+      </tr>
+    `;
+  }
+}
+
+// Create global instance, for use in widget.html
+if (typeof window !== 'undefined') {
+  window.zohoContactSync = new ZohoContactSync(zohoRecordContext);
+}
+
+// CommonJS export for Node test runners
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ZohoContactSync };
+}
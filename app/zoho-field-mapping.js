@@ -0,0 +1,244 @@
+/**
+ * Zoho ↔ SideDrawer Field Mapping
+ * Declares how a Zoho Contact becomes SideDrawer client data: which Zoho field feeds each client
+ * field, the transforms applied on the way, and which fields must have a value. map() returns
+ * the client data with a validation report, which the create and update flows check before
+ * sending anything to SideDrawer.
+ *
+ * The schema is JSON, read from the `client_field_map` widget variable (or URL param) or from
+ * the `sidedrawer_client_field_map` Zoho org variable, which wins when both are set:
+ *
+ *   { "fields": [
+ *       { "client": "email", "zoho": "Email", "transform": ["trim", "lowercase"], "required": true },
+ *       { "client": "phone", "zoho": ["Mobile", "Phone"], "transform": "phone" },
+ *       { "client": "country", "zoho": "Mailing_Country", "default": "Canada" }
+ *   ] }
+ *
+ * `zoho` may list several fields; the first with a value is used, then `default`. The flat form
+ * { "email": "Email", ... } is also accepted, meaning trim only and nothing required.
+ *
+ * Dependencies: none
+ */
+
+const ORG_FIELD_MAPPING_VARIABLE = 'sidedrawer_client_field_map';
+
+// Transforms run in the order listed, and only on non-empty values. A transform throws to
+// reject a value it cannot convert; the error message ends up in the validation report.
+const FIELD_TRANSFORMS = {
+  trim: value => typeof value === 'string' ? value.trim() : value,
+  lowercase: value => String(value).toLowerCase(),
+  uppercase: value => String(value).toUpperCase(),
+  titlecase: value => String(value).toLowerCase().replace(/(^|[\s'-])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase()),
+  // Digits only, keeping a leading +
+  phone: value => {
+    const text = String(value).trim();
+    const digits = text.replace(/\D/g, '');
+    if (!digits) throw new Error(`"${text}" has no digits`);
+    return (text.startsWith('+') ? '+' : '') + digits;
+  },
+  // YYYY-MM-DD
+  date: value => {
+    const date = new Date(value);
+    if (isNaN(date)) throw new Error(`"${value}" is not a date`);
+    return date.toISOString().slice(0, 10);
+  },
+  // Lookups and multi-select picklists arrive as { id, name } objects or arrays
+  name: value => Array.isArray(value)
+    ? value.map(item => (item && typeof item === 'object' ? item.name : item)).join(', ')
+    : (value && typeof value === 'object' ? value.name ?? '' : value)
+};
+
+// Transforms whose output cannot be written back to the Zoho field it came from: `name` reads
+// lookups and multi-select picklists, and `date` also accepts DateTime fields, which need a time.
+// Fields using them are only ever read from Zoho.
+const ONE_WAY_TRANSFORMS = new Set(['name', 'date']);
+
+// Checks on well-known client fields, after transforms. Return true, or what is wrong.
+const CLIENT_FIELD_VALIDATORS = {
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) || 'is not a valid email address'
+};
+
+const DEFAULT_FIELD_MAPPING = {
+  fields: [
+    { client: 'firstName', zoho: 'First_Name', transform: 'trim' },
+    { client: 'lastName', zoho: 'Last_Name', transform: 'trim' },
+    { client: 'email', zoho: 'Email', transform: ['trim', 'lowercase'], required: true },
+    { client: 'phone', zoho: ['Phone', 'Mobile'], transform: 'phone' }
+  ]
+};
+
+/** A mapping schema that cannot be used; the message says which entry and why. */
+class FieldMappingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FieldMappingError';
+  }
+}
+
+function isEmptyValue(value) {
+  return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+class FieldMapping {
+  /**
+   * @param {object} [schema] - See the file header. Throws FieldMappingError when invalid.
+   */
+  constructor(schema = DEFAULT_FIELD_MAPPING) {
+    this.fields = FieldMapping.normalize(schema);
+  }
+
+  /**
+   * Build a mapping from JSON text or an already-parsed schema
+   */
+  static parse(source) {
+    let schema = source;
+    if (typeof source === 'string') {
+      try {
+        schema = JSON.parse(source);
+      } catch (error) {
+        throw new FieldMappingError(`not valid JSON (${error.message})`);
+      }
+    }
+    return new FieldMapping(schema);
+  }
+
+  /**
+   * The schema's entries as { client, zoho: [fields], transforms: [names], required, default }
+   */
+  static normalize(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      throw new FieldMappingError('expected a JSON object');
+    }
+    const entries = Array.isArray(schema.fields)
+      ? schema.fields
+      : Object.entries(schema).map(([client, zoho]) => ({ client, zoho, transform: 'trim' }));
+    if (entries.length === 0) {
+      throw new FieldMappingError('maps no fields');
+    }
+
+    const seen = new Set();
+    return entries.map((entry, index) => {
+      if (!entry || typeof entry.client !== 'string' || !entry.client) {
+        throw new FieldMappingError(`entry ${index + 1} needs a "client" field name`);
+      }
+      const label = entry.client;
+      if (seen.has(label)) {
+        throw new FieldMappingError(`${label} is mapped twice`);
+      }
+      seen.add(label);
+
+      const zoho = [].concat(entry.zoho ?? []);
+      if (!zoho.every(field => typeof field === 'string' && field) || (zoho.length === 0 && entry.default === undefined)) {
+        throw new FieldMappingError(`${label}: "zoho" must be a field API name or a list of them`);
+      }
+      const transforms = [].concat(entry.transform ?? []);
+      const unknown = transforms.find(name => !FIELD_TRANSFORMS[name]);
+      if (unknown !== undefined) {
+        throw new FieldMappingError(`${label}: unknown transform "${unknown}" (use ${Object.keys(FIELD_TRANSFORMS).join(', ')})`);
+      }
+      return { client: label, zoho, transforms, required: entry.required === true, default: entry.default };
+    });
+  }
+
+  /**
+   * Map a Zoho record to SideDrawer client data. Empty fields are left out of `data`.
+   * @returns {{data: object, report: {valid: boolean, errors: Array<{client, zoho, message}>,
+   *   fields: Array<{client, zoho, value, usedDefault}>}}} `report.fields` has a row per mapped
+   *   field, for previews; `zoho` is the field the value came from (null for a default or no value).
+   */
+  map(record) {
+    const data = {};
+    const errors = [];
+    const fields = [];
+
+    for (const field of this.fields) {
+      const source = field.zoho.find(name => !isEmptyValue(record[name])) || null;
+      let value = source ? record[source] : field.default;
+      const row = { client: field.client, zoho: source, value: null, usedDefault: !source && !isEmptyValue(value) };
+      fields.push(row);
+
+      try {
+        value = field.transforms.reduce((current, name) => isEmptyValue(current) ? current : FIELD_TRANSFORMS[name](current), value);
+      } catch (error) {
+        errors.push({ client: field.client, zoho: source, message: error.message });
+        continue;
+      }
+
+      if (isEmptyValue(value)) {
+        if (field.required) {
+          errors.push({ client: field.client, zoho: field.zoho.join(' / ') || null, message: 'is required but empty' });
+        }
+        continue;
+      }
+
+      const validator = CLIENT_FIELD_VALIDATORS[field.client];
+      const check = validator ? validator(value) : true;
+      if (check !== true) {
+        errors.push({ client: field.client, zoho: source, message: `"${value}" ${check}` });
+        continue;
+      }
+
+      row.value = value;
+      data[field.client] = value;
+    }
+
+    return { data, report: { valid: errors.length === 0, errors, fields } };
+  }
+
+  /**
+   * The Zoho fields a client field is read from, for labels and messages
+   */
+  zohoFieldsFor(clientField) {
+    const field = this.fields.find(f => f.client === clientField);
+    return field ? field.zoho : [];
+  }
+
+  /**
+   * Client fields that can be written back to Zoho: those read from a Zoho field without a
+   * one-way transform (see ONE_WAY_TRANSFORMS)
+   */
+  syncableFields() {
+    return this.fields
+      .filter(field => field.zoho.length > 0 && !field.transforms.some(name => ONE_WAY_TRANSFORMS.has(name)))
+      .map(field => field.client);
+  }
+
+  /**
+   * Client data as Zoho record data, for writing back. Each value goes to the first Zoho field
+   * listed for it, as is; fields that are not syncableFields() are dropped.
+   */
+  toZoho(clientData) {
+    const syncable = new Set(this.syncableFields());
+    const data = {};
+    Object.entries(clientData).forEach(([clientField, value]) => {
+      if (syncable.has(clientField)) data[this.zohoFieldsFor(clientField)[0]] = value;
+    });
+    return data;
+  }
+}
+
+/**
+ * A validation report's errors as one sentence per field
+ */
+function describeMappingErrors(report) {
+  return report.errors
+    .map(error => `${error.zoho ? `${error.zoho} (${error.client})` : error.client} ${error.message}`)
+    .join('; ');
+}
+
+// Export for use in widget.html
+if (typeof window !== 'undefined') {
+  window.FieldMapping = FieldMapping;
+  window.FieldMappingError = FieldMappingError;
+}
+
+// CommonJS export for Node test runners
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FieldMapping,
+    FieldMappingError,
+    describeMappingErrors,
+    DEFAULT_FIELD_MAPPING,
+    ORG_FIELD_MAPPING_VARIABLE
+  };
+}
@@ -0,0 +1,511 @@
+/**
+ * Zoho CRM Record Context
+ * When the widget is placed on a Contact or Account record, finds the SideDrawer client
+ * linked to that record and lists the client's documents under the connection status.
+ *
+ * The link is the record's SideDrawer ID field (a custom field, `SideDrawer_Client_ID` unless
+ * the `sidedrawer_id_field` variable or URL param names another), else the record's email.
+ * An unmatched Contact can be created in SideDrawer from its fields, and either way the client's
+ * ID is written back to the SideDrawer ID field. A linked client can be updated from the Contact.
+ * Both go through the field mapping (zoho-field-mapping.js) and stop on its validation errors.
+ *
+ * Dependencies:
+ * - ZOHO Embedded App SDK (loaded via CDN)
+ * - FieldMapping, FieldMappingError, describeMappingErrors, ORG_FIELD_MAPPING_VARIABLE (zoho-field-mapping.js)
+ * - SideDrawerAPI, SideDrawerAPIError and subclasses, escapeHtml (sidedrawer-api.js)
+ */
+
+// Record modules the context works on, and the fields each keeps an email address in
+const RECORD_EMAIL_FIELDS = {
+  Contacts: ['Email', 'Secondary_Email'],
+  Accounts: ['Email']
+};
+
+const DEFAULT_SIDEDRAWER_ID_FIELD = 'SideDrawer_Client_ID';
+
+// ZOHO.embeddedApp.init() never settles when the page is not framed by Zoho
+const ZOHO_INIT_TIMEOUT_MS = 5000;
+
+const RECORD_DOCUMENTS_LIMIT = 20;
+
+class ZohoRecordContext {
+  constructor() {
+    this.api = new SideDrawerAPI();
+    this.idField = DEFAULT_SIDEDRAWER_ID_FIELD;
+    // Contact → client mapping from the widget settings, and from the org variable (which wins)
+    this.configuredMapping = new FieldMapping();
+    this.orgMapping = null;
+    this.sdkReady = false;
+
+    // Current record and what was found for it
+    this.entity = null;
+    this.recordId = null;
+    this.record = null;
+    this.client = null;
+    this.matchedBy = null; // 'id' | 'email'
+    this.documents = [];
+    this.totalDocuments = 0;
+    this.status = 'idle'; // idle | loading | linked | unmatched | error
+    this.error = null;
+    this.controller = null;
+
+    // Create/link/update action in progress ('create' | 'link' | 'update'), and its outcome
+    this.busy = null;
+    this.actionError = null;
+    this.actionMessage = null;
+
+    // Add-ons shown under a linked client, each { containerId, render() }
+    this.sections = [];
+  }
+
+  /**
+   * Show an add-on under the linked client. Its render() runs after every render of the
+   * client view, with an empty #containerId to fill.
+   */
+  addSection(section) {
+    this.sections.push(section);
+  }
+
+  /**
+   * Apply widget settings
+   * @param {object} settings
+   * @param {string} [settings.idField] - API name of the record field holding the SideDrawer client ID
+   * @param {string|object} [settings.fieldMap] - Field mapping schema (see zoho-field-mapping.js),
+   *   as an object or JSON text. Invalid schemas are logged and ignored.
+   */
+  configure({ idField, fieldMap } = {}) {
+    if (fieldMap) {
+      try {
+        this.configuredMapping = FieldMapping.parse(fieldMap);
+      } catch (error) {
+        if (!(error instanceof FieldMappingError)) throw error;
+        console.warn('[SideDrawer Widget] ⚠ Ignoring client_field_map:', error.message);
+      }
+    }
+
+    if (idField && idField.trim() && idField.trim() !== this.idField) {
+      this.idField = idField.trim();
+      // Also restarts a lookup already in flight, which was matching on the old field
+      if (this.recordId) this.load();
+    }
+  }
+
+  /**
+   * Start the Zoho SDK and listen for the record the widget is opened on.
+   * Resolves to false outside a Zoho frame, where there is no record to show.
+   */
+  async init() {
+    if (typeof ZOHO === 'undefined' || !ZOHO.embeddedApp || window.parent === window) {
+      return false;
+    }
+
+    // PageLoad must be registered before init(), or the first event is missed
+    ZOHO.embeddedApp.on('PageLoad', data => this.onPageLoad(data));
+    try {
+      await Promise.race([
+        ZOHO.embeddedApp.init(),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('timed out')), ZOHO_INIT_TIMEOUT_MS))
+      ]);
+      this.sdkReady = true;
+    } catch (error) {
+      console.warn('[SideDrawer Widget] ⚠ Zoho SDK did not initialize:', error.message);
+    }
+    if (this.sdkReady) await this.loadOrgMapping();
+    return this.sdkReady;
+  }
+
+  get mapping() {
+    return this.orgMapping || this.configuredMapping;
+  }
+
+  /**
+   * Read the field mapping from the org variable, when the org defines one
+   */
+  async loadOrgMapping() {
+    try {
+      const response = await ZOHO.CRM.API.getOrgVariable(ORG_FIELD_MAPPING_VARIABLE);
+      const content = response && response.Success && response.Success.Content;
+      if (!content) return;
+      this.orgMapping = FieldMapping.parse(content);
+      console.log(`[SideDrawer Widget] ✓ Field mapping loaded from org variable ${ORG_FIELD_MAPPING_VARIABLE}`);
+    } catch (error) {
+      console.warn(`[SideDrawer Widget] ⚠ Ignoring org variable ${ORG_FIELD_MAPPING_VARIABLE}:`, error.message);
+    }
+  }
+
+  /**
+   * @param {object} data - PageLoad payload: { Entity, EntityId } where EntityId may be an array
+   */
+  onPageLoad(data) {
+    const entity = data && data.Entity;
+    const recordId = data && (Array.isArray(data.EntityId) ? data.EntityId[0] : data.EntityId);
+    if (!RECORD_EMAIL_FIELDS[entity] || !recordId) {
+      console.log('[SideDrawer Widget] PageLoad outside a Contact or Account record:', entity || 'none');
+      return;
+    }
+
+    console.log(`[SideDrawer Widget] 📇 Opened on ${entity} record ${recordId}`);
+    this.entity = entity;
+    this.recordId = String(recordId);
+    this.record = null;
+    this.load();
+  }
+
+  /**
+   * Read the record from Zoho, then find its SideDrawer client and documents.
+   * Without a SideDrawer session it waits; showConnectedStatus() calls mount() once connected.
+   */
+  async load() {
+    if (!this.recordId) return;
+    if (this.controller) this.controller.abort();
+    if (!this.api.isAuthenticated()) {
+      this.status = 'idle';
+      this.render();
+      return;
+    }
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    this.controller = controller;
+    this.status = 'loading';
+    this.error = null;
+    this.actionError = null;
+    this.actionMessage = null;
+    this.render();
+
+    try {
+      if (!this.record) {
+        const response = await ZOHO.CRM.API.getRecord({ Entity: this.entity, RecordID: this.recordId });
+        this.record = (response && response.data && response.data[0]) || null;
+        if (!this.record) {
+          throw new Error(`${this.entity} record ${this.recordId} was not found in Zoho CRM`);
+        }
+      }
+      if (signal.aborted) return;
+
+      const match = await this.findClient(this.record, signal);
+      if (!match) {
+        this.client = null;
+        this.matchedBy = null;
+        this.documents = [];
+        this.status = 'unmatched';
+      } else {
+        const { items, total } = SideDrawerAPI.readPage(await this.api.getDocuments(
+          { clientId: match.client.id, limit: RECORD_DOCUMENTS_LIMIT }, { signal }));
+        this.client = match.client;
+        this.matchedBy = match.matchedBy;
+        this.documents = items;
+        this.totalDocuments = total ?? items.length;
+        this.status = 'linked';
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('[SideDrawer Widget] ❌ Record context lookup failed:', error);
+      this.error = error;
+      this.status = 'error';
+    } finally {
+      if (this.controller === controller) this.controller = null;
+    }
+    if (!signal.aborted) this.render();
+  }
+
+  /**
+   * The SideDrawer client for a Zoho record: by its stored SideDrawer ID, else by email.
+   * A stored ID that no longer resolves falls back to the email lookup.
+   * @returns {Promise<{client: object, matchedBy: string}|null>}
+   */
+  async findClient(record, signal) {
+    const storedId = record[this.idField];
+    if (storedId) {
+      try {
+        return { client: await this.api.getClient(storedId, { signal }), matchedBy: 'id' };
+      } catch (error) {
+        if (!(error instanceof NotFoundError)) throw error;
+        console.warn(`[SideDrawer Widget] ⚠ ${this.idField} holds unknown SideDrawer client ${storedId}, matching by email`);
+      }
+    }
+
+    for (const email of this.recordEmails(record)) {
+      const client = await this.api.findClientByEmail(email, { signal });
+      if (client) return { client, matchedBy: 'email' };
+    }
+    return null;
+  }
+
+  /**
+   * The record mapped to client data, or null (with actionError set) when it fails validation
+   */
+  mappedClientData() {
+    const { data, report } = this.mapping.map(this.record);
+    if (!report.valid) {
+      this.actionError = new Error(`Fix these Contact fields first: ${describeMappingErrors(report)}.`);
+      return null;
+    }
+    return data;
+  }
+
+  /**
+   * "Create in SideDrawer": create a client from this Contact, or pick up the existing client
+   * with the same email, then save its ID to the Contact.
+   */
+  async createClientFromRecord() {
+    if (this.busy || !this.record) return;
+    this.actionMessage = null;
+    const clientData = this.mappedClientData();
+    if (!clientData) {
+      this.render();
+      return;
+    }
+
+    this.busy = 'create';
+    this.actionError = null;
+    this.render();
+    try {
+      let client = clientData.email ? await this.api.findClientByEmail(clientData.email) : null;
+      if (client) {
+        console.log(`[SideDrawer Widget] ✓ ${clientData.email} is already SideDrawer client ${client.id}, linking it`);
+      } else {
+        const created = await this.api.createClient(clientData);
+        client = (created && created.data) || created;
+        console.log('[SideDrawer Widget] ✓ Created SideDrawer client', client.id);
+      }
+      // Until the ID is saved to Zoho, the record is only matched by email
+      this.client = client;
+      this.matchedBy = 'email';
+      this.documents = [];
+      this.totalDocuments = 0;
+      this.status = 'linked';
+    } catch (error) {
+      console.error('[SideDrawer Widget] ❌ Could not create SideDrawer client:', error);
+      this.actionError = error;
+      this.busy = null;
+      this.render();
+      return;
+    }
+    this.busy = null;
+    await this.linkClient();
+  }
+
+  /**
+   * "Update SideDrawer": send the mapped Contact fields that differ from the linked client
+   */
+  async updateClientFromRecord() {
+    if (this.busy || !this.client || !this.record) return;
+    this.actionMessage = null;
+    const clientData = this.mappedClientData();
+    if (!clientData) {
+      this.render();
+      return;
+    }
+
+    const changes = {};
+    Object.entries(clientData).forEach(([field, value]) => {
+      if (this.client[field] !== value) changes[field] = value;
+    });
+    if (Object.keys(changes).length === 0) {
+      this.actionError = null;
+      this.actionMessage = 'SideDrawer already matches this Contact.';
+      this.render();
+      return;
+    }
+
+    this.busy = 'update';
+    this.actionError = null;
+    this.render();
+    try {
+      const updated = await this.api.updateClient(this.client.id, changes);
+      this.client = { ...this.client, ...changes, ...((updated && updated.data) || updated || {}) };
+      this.actionMessage = `Updated ${Object.keys(changes).join(', ')} in SideDrawer.`;
+      console.log(`[SideDrawer Widget] ✓ Updated SideDrawer client ${this.client.id}:`, Object.keys(changes));
+    } catch (error) {
+      console.error('[SideDrawer Widget] ❌ Could not update SideDrawer client:', error);
+      this.actionError = error;
+    } finally {
+      this.busy = null;
+    }
+    this.render();
+  }
+
+  /**
+   * Save the matched client's ID to the record's SideDrawer ID field, so later lookups
+   * no longer depend on the email
+   */
+  async linkClient() {
+    if (this.busy || !this.client) return;
+    this.busy = 'link';
+    this.actionError = null;
+    this.render();
+    try {
+      const response = await ZOHO.CRM.API.updateRecord({
+        Entity: this.entity,
+        APIData: { id: this.recordId, [this.idField]: this.client.id },
+        Trigger: []
+      });
+      const result = response && response.data && response.data[0];
+      if (!result || result.code !== 'SUCCESS') {
+        throw new Error(`Zoho CRM did not save ${this.idField}: ${(result && (result.message || result.code)) || 'no response'}`);
+      }
+      this.record[this.idField] = this.client.id;
+      this.matchedBy = 'id';
+      console.log(`[SideDrawer Widget] ✓ Saved SideDrawer client ${this.client.id} to ${this.entity} ${this.recordId}`);
+    } catch (error) {
+      console.error('[SideDrawer Widget] ❌ Could not save the SideDrawer client ID to Zoho:', error);
+      this.actionError = error;
+    } finally {
+      this.busy = null;
+    }
+    this.render();
+  }
+
+  recordEmails(record) {
+    return (RECORD_EMAIL_FIELDS[this.entity] || [])
+      .map(field => record[field])
+      .filter(email => typeof email === 'string' && email.trim());
+  }
+
+  recordName(record) {
+    if (!record) return '';
+    return record.Full_Name || record.Account_Name ||
+      [record.First_Name, record.Last_Name].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Fill the connected view's #record-context. Looks the record up again, since the
+   * session (and so the SideDrawer user) may have changed since the last lookup.
+   */
+  mount() {
+    if (this.recordId && this.status !== 'loading') {
+      this.load();
+    } else {
+      this.render();
+    }
+  }
+
+  /**
+   * What "Create in SideDrawer" would send: one row per mapped field, then any validation errors
+   */
+  mappingPreviewHtml() {
+    const { report } = this.mapping.map(this.record);
+    return `
+      <table class="mapping-preview">
+        <thead><tr><th>SideDrawer</th><th>From Zoho</th><th>Value</th></tr></thead>
+        <tbody>
+          ${report.fields.map(row => `
+            <tr>
+              <td>${escapeHtml(row.client)}</td>
+              <td class="text-small-gray">${row.zoho ? escapeHtml(row.zoho) : row.usedDefault ? 'default' : '—'}</td>
+              <td>${row.value == null ? '<span class="text-small-gray">(empty)</span>' : escapeHtml(row.value)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ${report.valid ? '' : `
+        <ul class="mapping-errors">
+          ${report.errors.map(error => `
+            <li>${escapeHtml(error.zoho ? `${error.zoho} (${error.client})` : error.client)} ${escapeHtml(error.message)}</li>
+          `).join('')}
+        </ul>
+      `}
+    `;
+  }
+
+  render() {
+    const container = document.getElementById('record-context');
+    if (!container) return;
+    if (!this.recordId || this.status === 'idle') {
+      container.innerHTML = '';
+      return;
+    }
+
+    const recordLabel = this.entity === 'Accounts' ? 'Account' : 'Contact';
+    const name = escapeHtml(this.recordName(this.record) || recordLabel);
+    const actionError = this.actionError ? `
+      <div class="error-message mt-10">${escapeHtml(SideDrawerAPIError.describe(this.actionError))}</div>
+    ` : this.actionMessage ? `
+      <p class="text-small-gray mt-10">${escapeHtml(this.actionMessage)}</p>
+    ` : '';
+
+    if (this.status === 'loading') {
+      container.innerHTML = `
+        <div class="loading loading-padded">
+          <div class="spinner"></div>
+          <p>Looking up ${this.record ? name : `this ${recordLabel.toLowerCase()}`} in SideDrawer...</p>
+        </div>
+      `;
+      return;
+    }
+
+    if (this.status === 'error') {
+      container.innerHTML = `
+        <div class="error-message">
+          Could not load the SideDrawer client for this ${recordLabel.toLowerCase()}: ${escapeHtml(SideDrawerAPIError.describe(this.error))}
+        </div>
+        <button class="btn btn-small" onclick="zohoRecordContext.load()">Try Again</button>
+      `;
+      return;
+    }
+
+    if (this.status === 'unmatched') {
+      const emails = this.recordEmails(this.record);
+      container.innerHTML = `
+        <div class="info-section">
+          <strong class="info-section-title">SideDrawer client for ${name}</strong>
+          <p class="text-muted-sm">
+            No SideDrawer client matches this ${recordLabel.toLowerCase()}
+            ${emails.length ? `(looked for ${emails.map(escapeHtml).join(', ')})` : `— it has no email address and no ${escapeHtml(this.idField)} value`}.
+          </p>
+          ${this.entity === 'Contacts' ? `
+            ${this.mappingPreviewHtml()}
+            <button class="btn btn-success btn-small" onclick="zohoRecordContext.createClientFromRecord()" ${this.busy ? 'disabled' : ''}>
+              ${this.busy === 'create' ? 'Creating...' : 'Create in SideDrawer'}
+            </button>
+          ` : ''}
+          ${actionError}
+        </div>
+      `;
+      return;
+    }
+
+    const client = this.client;
+    const clientName = client.name || [client.firstName, client.lastName].filter(Boolean).join(' ') || client.email;
+    container.innerHTML = `
+      <div class="info-section">
+        <strong class="info-section-title">SideDrawer client for ${name}</strong>
+        <p><strong>${escapeHtml(clientName)}</strong>${client.email ? ` · ${escapeHtml(client.email)}` : ''}</p>
+        <p class="text-small-gray">${this.matchedBy === 'id' ? `Linked by ${escapeHtml(this.idField)}` : 'Matched by email'}</p>
+        ${this.matchedBy === 'email' ? `
+          <button class="btn btn-small" onclick="zohoRecordContext.linkClient()" ${this.busy ? 'disabled' : ''}>
+            ${this.busy === 'link' ? 'Saving...' : `Save link to ${escapeHtml(this.idField)}`}
+          </button>
+        ` : ''}
+        ${this.entity === 'Contacts' ? `
+          <button class="btn btn-small" onclick="zohoRecordContext.updateClientFromRecord()" ${this.busy ? 'disabled' : ''}>
+            ${this.busy === 'update' ? 'Updating...' : 'Update SideDrawer from Zoho'}
+          </button>
+        ` : ''}
+        ${actionError}
+        <p class="record-context-heading">
+          Documents${this.totalDocuments > this.documents.length ? ` (${this.documents.length} of ${this.totalDocuments})` : ''}
+        </p>
+        ${this.documents.length === 0 ? '<p class="text-muted-sm">No documents yet.</p>' : `
+          <ul class="record-document-list">
+            ${this.documents.map(doc => `
+              <li class="record-document">
+                <span class="record-document-name">${escapeHtml(doc.name || doc.title || doc.fileName || 'Untitled')}</span>
+                <span class="text-small-gray">${doc.createdAt ? escapeHtml(new Date(doc.createdAt).toLocaleDateString()) : ''}</span>
+              </li>
+            `).join('')}
+          </ul>
+        `}
+        ${this.sections.map(section => `<div id="${section.containerId}"></div>`).join('')}
+      </div>
+    `;
+    this.sections.forEach(section => section.render());
+  }
+}
+
+// Create global instance
+const zohoRecordContext = new ZohoRecordContext();
+
+// Export for use in widget.html
+window.zohoRecordContext = zohoRecordContext;
@@ -0,0 +1,374 @@
+/**
+ * SideDrawerAPI in Node: token refresh and replay, retries and Retry-After, pagination, the
+ * response cache, middleware, environment hosts, chunked uploads and tenant scoping.
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SideDrawerAPI,
+  MemorySessionStore,
+  RetryPolicy,
+  ResponseCache,
+  RateLimitError,
+  ServerError,
+  SideDrawerAPIError,
+  withTenantScope
+} = require('../app/sidedrawer-api.js');
+
+const USER_API = 'https://user-api-sbx.sidedrawersbx.com';
+
+// An unsigned token whose issuer points the client (and its refresh) at the sandbox
+function jwt(claims) {
+  return `x.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.y`;
+}
+
+const OLD_TOKEN = jwt({ iss: 'https://auth-sbx.sidedrawersbx.com/', aud: ['https://user-api-sbx'] });
+
+function json(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+// A client over a recording fetch that answers with `handler(url, init, callNumber)`
+function createClient(handler, options = {}) {
+  const calls = [];
+  const api = new SideDrawerAPI({
+    sessionStore: new MemorySessionStore({
+      accessToken: OLD_TOKEN,
+      refreshToken: 'refresh-1',
+      clientId: 'client-1',
+      expiresAt: Date.now() + 60000
+    }),
+    fetch: async (url, init = {}) => {
+      calls.push({ url, init });
+      return handler(url, init, calls.length);
+    },
+    retry: new RetryPolicy({ baseDelay: 1, maxDelay: 2 }),
+    cache: false,
+    ...options
+  });
+  return { api, calls };
+}
+
+test.beforeEach(t => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('a 401 refreshes the token once and replays the request', async () => {
+  const { api, calls } = createClient((url, init) => {
+    if (url.endsWith('/oauth/token')) {
+      return json({ access_token: 'new-token', refresh_token: 'refresh-2', expires_in: 3600 });
+    }
+    if (init.headers.Authorization === `Bearer ${OLD_TOKEN}`) return json({}, 401);
+    return json({ id: 'me' });
+  });
+
+  assert.deepEqual(await api.getCurrentUser(), { id: 'me' });
+  assert.deepEqual(calls.map(call => call.url), [`${USER_API}/me`, 'https://auth-sbx.sidedrawersbx.com/oauth/token', `${USER_API}/me`]);
+  assert.equal(calls[2].init.headers.Authorization, 'Bearer new-token');
+  assert.equal(api.getSession().refreshToken, 'refresh-2');
+});
+
+test('a 401 after the refresh is an AuthError', async () => {
+  const { api, calls } = createClient(url => url.endsWith('/oauth/token')
+    ? json({ access_token: 'new-token', expires_in: 3600 })
+    : json({}, 401));
+
+  await assert.rejects(api.getCurrentUser(), { name: 'AuthError', status: 401 });
+  assert.equal(calls.length, 3);
+});
+
+test('uploads and tenant lookups also refresh and replay', async () => {
+  const { api, calls } = createClient((url, init) => {
+    if (url.endsWith('/oauth/token')) return json({ access_token: 'new-token', expires_in: 3600 });
+    if (init.headers.Authorization === `Bearer ${OLD_TOKEN}`) return json({}, 401);
+    if (url.endsWith('/tenants/tenant/shared')) return json([{ id: 't1', defaultBrandCode: 'acme' }]);
+    return json({ id: 'doc-1' }, 201);
+  });
+
+  const formData = new FormData();
+  formData.append('file', new Blob(['hello']), 'hello.txt');
+  assert.deepEqual(await api.uploadDocument(formData), { id: 'doc-1' });
+  const upload = calls.at(-1);
+  assert.equal(upload.init.headers.Authorization, 'Bearer new-token');
+  assert.equal(upload.init.headers['Content-Type'], undefined);
+
+  assert.equal((await api.getTenants())[0].tenantId, 't1');
+});
+
+test('transient failures of a GET are retried, reporting each retry to onRetry', async () => {
+  const retries = [];
+  const { api, calls } = createClient((url, init, n) => {
+    if (n === 1) return json({}, 503);
+    if (n === 2) return json({}, 429, { 'Retry-After': '0' });
+    return json({ data: [{ id: 'c1' }] });
+  }, { retry: new RetryPolicy({ baseDelay: 1, maxDelay: 2, onRetry: info => retries.push(info) }) });
+
+  assert.deepEqual(SideDrawerAPI.readPage(await api.getClients()).items, [{ id: 'c1' }]);
+  assert.equal(calls.length, 3);
+  assert.deepEqual(retries.map(({ error, attempt, label }) => [error.status, attempt, label]), [[503, 1, 'GET /clients'], [429, 2, 'GET /clients']]);
+  assert.equal(retries[1].wait, 0);
+});
+
+test('a failed POST is not retried, and retries stop when the policy runs out', async () => {
+  const { api, calls } = createClient(() => json({}, 503));
+
+  await assert.rejects(api.createClient({ email: 'a@b.co' }), ServerError);
+  assert.equal(calls.length, 1);
+
+  await assert.rejects(api.getClients(), { status: 503 });
+  assert.equal(calls.length, 1 + 4);
+});
+
+test('paginate advances the offset until a short page', async () => {
+  const items = Array.from({ length: 5 }, (_, i) => ({ id: i }));
+  const { api, calls } = createClient(url => {
+    const params = new URL(url).searchParams;
+    const offset = parseInt(params.get('offset'));
+    return json({ data: items.slice(offset, offset + parseInt(params.get('limit'))) });
+  });
+
+  const seen = [];
+  for await (const client of api.iterateClients({}, { pageSize: 2 })) seen.push(client.id);
+  assert.deepEqual(seen, [0, 1, 2, 3, 4]);
+  assert.equal(calls.length, 3);
+});
+
+test('paginate follows nextCursor and honours maxItems', async () => {
+  const pages = {
+    '': { data: [{ id: 'a' }, { id: 'b' }], nextCursor: 'p2' },
+    p2: { data: [{ id: 'c' }, { id: 'd' }], nextCursor: 'p3' },
+    p3: { data: [{ id: 'e' }] }
+  };
+  const { api, calls } = createClient(url => json(pages[new URL(url).searchParams.get('cursor') || '']));
+
+  const seen = [];
+  for await (const doc of api.iterateDocuments({}, { pageSize: 2 })) seen.push(doc.id);
+  assert.deepEqual(seen, ['a', 'b', 'c', 'd', 'e']);
+  assert.ok(calls.slice(1).every(call => !new URL(call.url).searchParams.has('offset')));
+
+  const firstThree = [];
+  for await (const doc of api.iterateDocuments({}, { pageSize: 2, maxItems: 3 })) firstThree.push(doc.id);
+  assert.deepEqual(firstThree, ['a', 'b', 'c']);
+});
+
+test('paginate stops on an empty page or a repeated cursor', async () => {
+  const { api: emptyPages } = createClient(() => json({ data: [], nextCursor: 'again' }));
+  const none = [];
+  for await (const doc of emptyPages.iterateDocuments()) none.push(doc);
+  assert.deepEqual(none, []);
+
+  const { api: stuck, calls } = createClient(() => json({ data: [{ id: 'a' }], nextCursor: 'same' }));
+  const seen = [];
+  for await (const doc of stuck.iterateDocuments()) seen.push(doc.id);
+  assert.deepEqual(seen, ['a', 'a']);
+  assert.equal(calls.length, 2);
+});
+
+test('a chunked upload whose session has no id fails with a SideDrawerAPIError', async () => {
+  const { api } = createClient(() => new Response(null, { status: 204 }));
+  const formData = new FormData();
+  formData.append('file', new File(['hello world'], 'hello.txt'));
+
+  await assert.rejects(api.uploadDocument(formData, { chunkThreshold: 1, chunkSize: 4 }),
+    error => error instanceof SideDrawerAPIError && error.endpoint === '/documents/uploads');
+});
+
+test('a chunked upload cancelled with a primitive abort reason rejects with that reason', async () => {
+  const controller = new AbortController();
+  const { api } = createClient(url => {
+    if (url.endsWith('/documents/uploads')) return json({ uploadId: 'up-1' });
+    controller.abort('cancel');
+    return json({});
+  });
+  const formData = new FormData();
+  formData.append('file', new File(['hello world'], 'hello.txt'));
+
+  await assert.rejects(api.uploadDocument(formData, { chunkThreshold: 1, chunkSize: 4, signal: controller.signal }),
+    reason => reason === 'cancel');
+});
+
+test('withTenantScope adds the tenant to collection, /me and account URLs only', () => {
+  const tenant = { tenantId: 't1', brandCode: 'acme' };
+  assert.equal(withTenantScope(`${USER_API}/documents?limit=5`, tenant), `${USER_API}/documents?limit=5&tenantId=t1&brandCode=acme`);
+  assert.equal(withTenantScope(`${USER_API}/accounts/open-id/o1`, tenant), `${USER_API}/accounts/open-id/o1?tenantId=t1&brandCode=acme`);
+  assert.equal(withTenantScope(`${USER_API}/clients?tenantId=t2`, tenant), `${USER_API}/clients?tenantId=t2&brandCode=acme`);
+  assert.equal(withTenantScope(`${USER_API}/documents/d1`, tenant), `${USER_API}/documents/d1`);
+  assert.equal(withTenantScope(`${USER_API}/documents/uploads/u1/chunks/0`, tenant), `${USER_API}/documents/uploads/u1/chunks/0`);
+  assert.equal(withTenantScope(`${USER_API}/documents`, null), `${USER_API}/documents`);
+});
+
+test('requests are scoped to the selected tenant, but chunk uploads and the tenants gateway are not', async () => {
+  const { api, calls } = createClient(url => {
+    if (url.includes('/tenants/tenant/shared')) return json([{ id: 't1', defaultBrandCode: 'acme' }]);
+    if (url.endsWith('/documents/uploads')) return json({ uploadId: 'up-1' });
+    return json({ id: 'x' });
+  });
+  await api.selectTenant('t1');
+
+  await api.getClients();
+  await api.uploadChunk('up-1', 0, new Blob(['hi']), { start: 0, end: 2, total: 2 });
+  const urls = calls.map(call => call.url);
+  assert.equal(urls[0], 'https://tenants-gateway-api-sbx.sidedrawersbx.com/api/v1/tenants/tenant/shared');
+  assert.equal(urls[1], `${USER_API}/clients?tenantId=t1&brandCode=acme`);
+  assert.equal(urls[2], `${USER_API}/documents/uploads/up-1/chunks/0`);
+});
+
+test('concurrent reads share one request, and cached reads expire after their TTL', async () => {
+  const { api, calls } = createClient(() => json({ id: 'me' }), {
+    cache: new ResponseCache({ ttls: [{ pattern: /\/me$/, ttl: 20 }] })
+  });
+
+  const [first, second] = await Promise.all([api.getCurrentUser(), api.getCurrentUser()]);
+  assert.deepEqual(first, { id: 'me' });
+  assert.equal(second, first);
+  await api.getCurrentUser();
+  assert.equal(calls.length, 1);
+
+  await api.request('/me', { cache: false });
+  assert.equal(calls.length, 2);
+
+  await new Promise(resolve => setTimeout(resolve, 30));
+  await api.getCurrentUser();
+  assert.equal(calls.length, 3);
+});
+
+test('a write drops the cached reads it makes stale, including a read in flight', async () => {
+  let releaseFolders;
+  const { api, calls } = createClient((url, init) => {
+    if (init.method === 'POST') return json({ id: 'f2' });
+    if (url.includes('/folders') && !releaseFolders) {
+      return new Promise(resolve => { releaseFolders = () => resolve(json({ data: ['f1'] })); });
+    }
+    return json({ data: url.includes('/folders') ? ['f1', 'f2'] : ['me'] });
+  }, { cache: new ResponseCache() });
+  const reads = () => calls.filter(call => !call.init.method || call.init.method === 'GET').length;
+
+  await api.getCurrentUser();
+  const pending = api.getFolders();
+  await new Promise(resolve => setImmediate(resolve));
+  await api.createFolder({ name: 'New' });
+  releaseFolders();
+  assert.deepEqual(await pending, { data: ['f1'] });
+
+  // The load that overlapped the write is not cached; /me is not stale
+  assert.deepEqual(await api.getFolders(), { data: ['f1', 'f2'] });
+  await api.getFolders();
+  await api.getCurrentUser();
+  assert.equal(reads(), 3);
+});
+
+test('middleware runs in the order added, around fetch, and again on the replay after a refresh', async () => {
+  const log = [];
+  const { api, calls } = createClient((url, init, call) => {
+    if (url.endsWith('/oauth/token')) return json({ access_token: jwt({ iss: 'https://auth-sbx.sidedrawersbx.com/', sub: 'new' }), expires_in: 3600 });
+    return call === 1 ? json({ message: 'expired' }, 401) : json({ id: 'me' });
+  });
+  api
+    .use(async (req, next) => {
+      log.push(`outer ${req.endpoint}`);
+      req.init.headers['X-Correlation-Id'] = 'c-1';
+      const response = await next(req);
+      log.push(`outer ${response.status}`);
+      return response;
+    })
+    .use(async (req, next) => {
+      log.push(`inner ${req.init.headers['X-Correlation-Id']}`);
+      return next({ ...req, url: `${req.url}?traced=1` });
+    });
+
+  assert.deepEqual(await api.getCurrentUser(), { id: 'me' });
+  assert.deepEqual(log, ['outer /me', 'inner c-1', 'outer 401', 'outer /me', 'inner c-1', 'outer 200']);
+  assert.deepEqual(calls.map(call => call.url), [
+    `${USER_API}/me?traced=1`,
+    'https://auth-sbx.sidedrawersbx.com/oauth/token',
+    `${USER_API}/me?traced=1`
+  ]);
+  assert.equal(calls[2].init.headers['X-Correlation-Id'], 'c-1');
+  assert.throws(() => api.use('not a function'), TypeError);
+});
+
+test('hosts follow the pinned environment, else the session, else sandbox', async () => {
+  const hostOf = async (options, session) => {
+    const { api, calls } = createClient(() => json({}), options);
+    if (session !== undefined) api.sessionStore.set(session);
+    await api.getCurrentUser();
+    return new URL(calls[0].url).origin;
+  };
+
+  assert.equal(await hostOf({}), USER_API);
+  assert.equal(await hostOf({ environment: 'production' }), 'https://user-api.sidedrawer.com');
+  assert.equal(await hostOf({}, { accessToken: jwt({ iss: 'https://acc-stg.sidedrawer.com/' }) }), 'https://user-api-dev.sidedrawerdev.com');
+  assert.equal(await hostOf({}, { accessToken: jwt({ iss: 'https://auth.sidedrawer.com/' }) }), 'https://user-api.sidedrawer.com');
+  assert.equal(await hostOf({}, { accessToken: jwt({}), env: 'development' }), 'https://user-api-dev.sidedrawerdev.com');
+  assert.equal(await hostOf({}, { accessToken: jwt({}) }), USER_API);
+  assert.equal(await hostOf({ hosts: { userApi: 'https://api.local', tenants: 'https://tenants.local' } }), 'https://api.local');
+
+  assert.throws(() => new SideDrawerAPI({ environment: 'staging' }), /Unknown SideDrawer environment: staging/);
+  assert.throws(() => new SideDrawerAPI({ environment: 'custom' }), TypeError);
+  assert.throws(() => new SideDrawerAPI({ hosts: { userApi: 'https://api.local' } }), TypeError);
+});
+
+test('Retry-After sets the wait before a retry, and a wait too long to honour is not retried', async () => {
+  const retries = [];
+  const retry = new RetryPolicy({ baseDelay: 1, maxDelay: 2, onRetry: ({ wait }) => retries.push(wait) });
+  const past = new Date(Date.now() - 60000).toUTCString();
+  const { api } = createClient((url, init, call) => {
+    if (call === 1) return json({ message: 'slow down' }, 429, { 'Retry-After': '0' });
+    if (call === 2) return json({ message: 'slow down' }, 503, { 'Retry-After': past });
+    return json({ ok: true });
+  }, { retry });
+
+  assert.deepEqual(await api.getClients(), { ok: true });
+  assert.deepEqual(retries, [0, 0]);
+
+  const { api: limited, calls } = createClient(() => json({ message: 'slow down' }, 429, { 'Retry-After': '120' }));
+  await assert.rejects(limited.getClients(), error => {
+    assert.ok(error instanceof RateLimitError);
+    assert.equal(error.retryAfter, 120000);
+    assert.match(error.userMessage, /wait 120 seconds/);
+    return true;
+  });
+  assert.equal(calls.length, 1);
+});
+
+test('a chunked upload resumes from saved state, skipping the chunks the server has', async () => {
+  const saved = new Map();
+  const storage = {
+    getItem: key => saved.get(key) ?? null,
+    setItem: (key, value) => saved.set(key, value),
+    removeItem: key => saved.delete(key)
+  };
+  let failChunk = true;
+  const { api, calls } = createClient((url, init) => {
+    if (url.endsWith('/documents/uploads')) return json({ uploadId: 'up-1' });
+    if (url.endsWith('/documents/uploads/up-1')) return json({ receivedChunks: [0] });
+    if (url.endsWith('/chunks/1') && failChunk) return json({ message: 'bad chunk' }, 400);
+    if (url.endsWith('/complete')) return json({ id: 'doc-1' });
+    return json({});
+  }, { uploadStateStorage: storage });
+  const file = new File(['hello world'], 'hello.txt', { lastModified: 1 });
+  const formData = new FormData();
+  formData.append('file', file);
+
+  await assert.rejects(api.uploadDocument(formData, { chunkThreshold: 1, chunkSize: 4 }), error => error.uploadId === 'up-1');
+  assert.deepEqual([...saved.values()].map(JSON.parse), [{ uploadId: 'up-1', chunkSize: 4 }]);
+
+  failChunk = false;
+  calls.length = 0;
+  const progress = [];
+  const document = await api.uploadDocument(formData, { chunkThreshold: 1, chunkSize: 8, onProgress: p => progress.push(p.percent) });
+
+  assert.deepEqual(document, { id: 'doc-1' });
+  assert.deepEqual(calls.map(call => `${call.init.method || 'GET'} ${new URL(call.url).pathname}`), [
+    'GET /documents/uploads/up-1',
+    'PUT /documents/uploads/up-1/chunks/1',
+    'PUT /documents/uploads/up-1/chunks/2',
+    'POST /documents/uploads/up-1/complete'
+  ]);
+  assert.equal(calls[2].init.headers['Content-Range'], 'bytes 8-10/11');
+  assert.deepEqual(progress, [73, 100]);
+  assert.equal(saved.size, 0);
+});
@@ -0,0 +1,221 @@
+/**
+ * ZohoContactSync: per-pair baselines, one-sided changes, conflicts and pruning.
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sidedrawerApi = require('../app/sidedrawer-api.js');
+const fieldMapping = require('../app/zoho-field-mapping.js');
+
+// The sync script is a browser script that reads these as page globals
+Object.assign(global, {
+  SideDrawerAPIError: sidedrawerApi.SideDrawerAPIError,
+  NotFoundError: sidedrawerApi.NotFoundError,
+  describeMappingErrors: fieldMapping.describeMappingErrors
+});
+const { ZohoContactSync } = require('../app/zoho-contact-sync.js');
+const { SideDrawerAPI, MemorySessionStore, NotFoundError } = sidedrawerApi;
+const { FieldMapping } = fieldMapping;
+
+const MAPPING = new FieldMapping({
+  fields: [
+    { client: 'firstName', zoho: 'First_Name', transform: 'trim' },
+    { client: 'email', zoho: 'Email', transform: ['trim', 'lowercase'], required: true },
+    { client: 'phone', zoho: ['Mobile', 'Phone'], transform: 'phone' }
+  ]
+});
+
+// A sync over a stub API and stub Zoho SDK that record every write
+function createSync(clients = {}) {
+  const writes = { sideDrawer: [], zoho: [] };
+  const api = {
+    isAuthenticated: () => true,
+    async getClient(id) {
+      if (!clients[id]) throw new NotFoundError('Client not found', { status: 404 });
+      return clients[id];
+    },
+    async updateClient(id, changes) {
+      writes.sideDrawer.push({ id, changes });
+      return { data: { ...clients[id], ...changes, updatedAt: '2026-03-01T00:00:00Z' } };
+    }
+  };
+  global.ZOHO = {
+    CRM: {
+      API: {
+        async updateRecord({ APIData }) {
+          writes.zoho.push(APIData);
+          return { data: [{ code: 'SUCCESS', details: { Modified_Time: '2026-03-02T00:00:00Z' } }] };
+        }
+      }
+    }
+  };
+  const sync = new ZohoContactSync({ api, mapping: MAPPING, idField: 'SideDrawer_Client_ID', sdkReady: true, recordId: null });
+  sync.render = () => {};
+  return { sync, writes };
+}
+
+const newState = () => ({ lastRun: null, pairs: {}, conflicts: {} });
+const newSummary = () => ({ checked: 0, unchanged: 0, toSideDrawer: 0, toZoho: 0, conflicts: 0, failed: 0, errors: [] });
+
+const contact = (fields = {}) => ({ id: 'z1', Modified_Time: '2026-01-01T00:00:00Z', First_Name: 'Ann', Email: 'ann@x.com', ...fields });
+const client = (fields = {}) => ({ id: 'c1', updatedAt: '2026-01-01T00:00:00Z', firstName: 'Ann', email: 'ann@x.com', ...fields });
+
+// State after a first sync of contact() and client(): both sides match
+function syncedState() {
+  const state = newState();
+  state.pairs.c1 = {
+    recordId: 'z1',
+    zohoModified: '2026-01-01T00:00:00Z',
+    clientModified: '2026-01-01T00:00:00Z',
+    values: { firstName: 'Ann', email: 'ann@x.com' }
+  };
+  return state;
+}
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test.afterEach(() => {
+  delete global.ZOHO;
+});
+
+test('a first sync of matching sides records the baseline and writes nothing', async () => {
+  const { sync, writes } = createSync();
+  const state = newState();
+
+  await sync.syncPair(contact(), client(), state, newSummary());
+
+  assert.deepEqual(state.pairs.c1.values, { firstName: 'Ann', email: 'ann@x.com', phone: null });
+  assert.deepEqual(state.conflicts, {});
+  assert.deepEqual(writes, { sideDrawer: [], zoho: [] });
+});
+
+test('a first sync lists differing fields as conflicts instead of picking a side', async () => {
+  const { sync, writes } = createSync();
+  const state = newState();
+
+  await sync.syncPair(contact({ First_Name: 'Anne' }), client(), state, newSummary());
+
+  assert.deepEqual(Object.keys(state.conflicts), ['c1:firstName']);
+  assert.equal(state.conflicts['c1:firstName'].zohoValue, 'Anne');
+  assert.equal(state.conflicts['c1:firstName'].clientValue, 'Ann');
+  assert.deepEqual(writes, { sideDrawer: [], zoho: [] });
+});
+
+test('a field changed only in Zoho is copied to SideDrawer', async () => {
+  const { sync, writes } = createSync({ c1: client() });
+  const state = syncedState();
+  const summary = newSummary();
+
+  await sync.syncPair(contact({ Modified_Time: '2026-02-01T00:00:00Z', Email: 'ANN@new.com' }), client(), state, summary);
+
+  assert.deepEqual(writes.sideDrawer, [{ id: 'c1', changes: { email: 'ann@new.com' } }]);
+  assert.equal(summary.toSideDrawer, 1);
+  assert.equal(state.pairs.c1.values.email, 'ann@new.com');
+  assert.equal(state.pairs.c1.clientModified, '2026-03-01T00:00:00Z');
+  assert.equal(state.pairs.c1.zohoModified, '2026-02-01T00:00:00Z');
+});
+
+test('a field changed only in SideDrawer is written to the first mapped Zoho field', async () => {
+  const { sync, writes } = createSync();
+  const state = syncedState();
+  const summary = newSummary();
+
+  await sync.syncPair(contact(), client({ updatedAt: '2026-02-01T00:00:00Z', phone: '+15550100' }), state, summary);
+
+  assert.deepEqual(writes.zoho, [{ id: 'z1', Mobile: '+15550100' }]);
+  assert.equal(summary.toZoho, 1);
+  assert.equal(state.pairs.c1.values.phone, '+15550100');
+  assert.equal(state.pairs.c1.zohoModified, '2026-03-02T00:00:00Z');
+});
+
+test('a field changed on both sides is a conflict until the sides agree', async () => {
+  const { sync, writes } = createSync();
+  const state = syncedState();
+
+  await sync.syncPair(contact({ Modified_Time: '2026-02-01T00:00:00Z', First_Name: 'Anne' }),
+    client({ updatedAt: '2026-02-01T00:00:00Z', firstName: 'Annie' }), state, newSummary());
+  assert.deepEqual(Object.keys(state.conflicts), ['c1:firstName']);
+  assert.deepEqual(writes, { sideDrawer: [], zoho: [] });
+
+  // Still a conflict when only one side moves on
+  await sync.syncPair(contact({ Modified_Time: '2026-02-05T00:00:00Z', First_Name: 'Ann' }),
+    client({ updatedAt: '2026-02-01T00:00:00Z', firstName: 'Annie' }), state, newSummary());
+  assert.equal(state.conflicts['c1:firstName'].zohoValue, 'Ann');
+  assert.deepEqual(writes, { sideDrawer: [], zoho: [] });
+
+  await sync.syncPair(contact({ Modified_Time: '2026-02-06T00:00:00Z', First_Name: 'Annie' }),
+    client({ updatedAt: '2026-02-01T00:00:00Z', firstName: 'Annie' }), state, newSummary());
+  assert.deepEqual(state.conflicts, {});
+  assert.equal(state.pairs.c1.values.firstName, 'Annie');
+});
+
+test('a pair whose sides have not moved is left alone', async () => {
+  const { sync, writes } = createSync();
+  const state = syncedState();
+  const summary = newSummary();
+
+  await sync.syncPair(contact({ First_Name: 'Changed without a new Modified_Time' }), client(), state, summary);
+
+  assert.equal(summary.unchanged, 1);
+  assert.deepEqual(writes, { sideDrawer: [], zoho: [] });
+});
+
+test('a Contact that fails the field mapping is not synced', async () => {
+  const { sync } = createSync();
+  await assert.rejects(sync.syncPair(contact({ Email: '' }), client(), newState(), newSummary()),
+    /Email \(email\) is required but empty/);
+});
+
+test('a full run keeps the pairs of clients that 404 and prunes relinked Contacts', async () => {
+  const { sync } = createSync({ c1: client() });
+  const state = syncedState();
+  state.pairs.c2 = { recordId: 'z2', zohoModified: null, clientModified: null, values: {} };
+  state.pairs.c3 = { recordId: 'z3', zohoModified: null, clientModified: null, values: {} };
+  state.conflicts['c2:email'] = { clientId: 'c2', recordId: 'z2', field: 'email' };
+  sync.loadState = () => state;
+  sync.saveState = () => {};
+  sync.linkedContacts = async function* () {
+    yield contact({ SideDrawer_Client_ID: 'c1' });
+    yield { id: 'z2', SideDrawer_Client_ID: 'c2' }; // another tenant's client: 404 from here
+    yield { id: 'z3', SideDrawer_Client_ID: 'c9' }; // relinked to a different client
+  };
+
+  await sync.run();
+
+  assert.deepEqual(Object.keys(state.pairs).sort(), ['c1', 'c2']);
+  assert.deepEqual(Object.keys(state.conflicts), ['c2:email']);
+  assert.equal(sync.summary.checked, 1);
+  assert.equal(sync.running, false);
+});
+
+test('a second trigger while a run is starting does not start another', async () => {
+  const { sync } = createSync();
+  let runs = 0;
+  sync.syncAll = async () => {
+    runs++;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  };
+
+  await Promise.all([sync.run(), sync.run()]);
+  assert.equal(runs, 1);
+  await sync.run();
+  assert.equal(runs, 2);
+});
+
+test('sync state is stored per environment, tenant and user', () => {
+  const session = claims => ({ accessToken: `x.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.y` });
+  const keyFor = (claims, tenant) => {
+    const api = new SideDrawerAPI({ sessionStore: new MemorySessionStore({ ...session(claims), tenant }), cache: false });
+    return new ZohoContactSync({ api }).stateKey();
+  };
+  const sandbox = { iss: 'https://auth-sbx.sidedrawersbx.com/', sub: 'user-1' };
+
+  assert.equal(keyFor(sandbox, { tenantId: 't1' }), 'sidedrawer_contact_sync:sandbox:t1:user-1');
+  assert.notEqual(keyFor(sandbox, { tenantId: 't2' }), keyFor(sandbox, { tenantId: 't1' }));
+  assert.notEqual(keyFor({ ...sandbox, sub: 'user-2' }, { tenantId: 't1' }), keyFor(sandbox, { tenantId: 't1' }));
+  assert.notEqual(keyFor({ iss: 'https://auth.sidedrawer.com/', sub: 'user-1' }, { tenantId: 't1' }), keyFor(sandbox, { tenantId: 't1' }));
+});
@@ -0,0 +1,109 @@
+/**
+ * FieldMapping: schema checks, transforms, validation and write-back to Zoho.
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FieldMapping, FieldMappingError, describeMappingErrors } = require('../app/zoho-field-mapping.js');
+
+test('the default mapping reads names, a lowercased email and Phone before Mobile', () => {
+  const { data, report } = new FieldMapping().map({
+    First_Name: ' Ann ', Last_Name: 'Lee', Email: ' Ann@Example.COM ', Phone: '', Mobile: '+1 (555) 010-2000'
+  });
+  assert.equal(report.valid, true);
+  assert.deepEqual(data, { firstName: 'Ann', lastName: 'Lee', email: 'ann@example.com', phone: '+15550102000' });
+  assert.equal(report.fields.find(row => row.client === 'phone').zoho, 'Mobile');
+});
+
+test('transforms run in order and skip empty values', () => {
+  const mapping = new FieldMapping({
+    fields: [
+      { client: 'firstName', zoho: 'First_Name', transform: ['trim', 'titlecase'] },
+      { client: 'code', zoho: 'Code', transform: 'uppercase' },
+      { client: 'birthday', zoho: 'Date_of_Birth', transform: 'date' },
+      { client: 'advisor', zoho: 'Owner', transform: 'name' },
+      { client: 'tags', zoho: 'Tags', transform: 'name' },
+      { client: 'middleName', zoho: 'Middle_Name', transform: 'titlecase' }
+    ]
+  });
+  const { data, report } = mapping.map({
+    First_Name: "  mary-jane o'neil ",
+    Code: 'ab1',
+    Date_of_Birth: '1980-02-03T10:00:00Z',
+    Owner: { id: '1', name: 'Pat Advisor' },
+    Tags: [{ name: 'VIP' }, 'Retail'],
+    Middle_Name: ''
+  });
+  assert.equal(report.valid, true);
+  assert.deepEqual(data, {
+    firstName: "Mary-Jane O'Neil",
+    code: 'AB1',
+    birthday: '1980-02-03',
+    advisor: 'Pat Advisor',
+    tags: 'VIP, Retail'
+  });
+});
+
+test('required, invalid and unconvertible values are reported, not mapped', () => {
+  const mapping = new FieldMapping({
+    fields: [
+      { client: 'email', zoho: 'Email', required: true },
+      { client: 'phone', zoho: 'Phone', transform: 'phone' },
+      { client: 'birthday', zoho: 'Birthday', transform: 'date' },
+      { client: 'lastName', zoho: 'Last_Name', required: true }
+    ]
+  });
+  const { data, report } = mapping.map({ Email: 'not-an-email', Phone: 'n/a', Birthday: 'someday' });
+  assert.equal(report.valid, false);
+  assert.deepEqual(data, {});
+  assert.deepEqual(report.errors.map(error => error.client), ['email', 'phone', 'birthday', 'lastName']);
+  assert.equal(describeMappingErrors(report),
+    'Email (email) "not-an-email" is not a valid email address; Phone (phone) "n/a" has no digits; ' +
+    'Birthday (birthday) "someday" is not a date; Last_Name (lastName) is required but empty');
+});
+
+test('a default fills in when no listed Zoho field has a value', () => {
+  const mapping = new FieldMapping({ fields: [{ client: 'country', zoho: ['Mailing_Country', 'Other_Country'], default: 'Canada' }] });
+  assert.deepEqual(mapping.map({ Other_Country: 'France' }).data, { country: 'France' });
+  const { data, report } = mapping.map({});
+  assert.deepEqual(data, { country: 'Canada' });
+  assert.deepEqual(report.fields[0], { client: 'country', zoho: null, value: 'Canada', usedDefault: true });
+});
+
+test('the flat form only trims and requires nothing', () => {
+  const mapping = FieldMapping.parse('{"firstName":"First_Name","email":"Email"}');
+  const { data, report } = mapping.map({ First_Name: ' Ann ' });
+  assert.equal(report.valid, true);
+  assert.deepEqual(data, { firstName: 'Ann' });
+});
+
+test('unusable schemas throw FieldMappingError', () => {
+  const cases = [
+    ['{not json', /not valid JSON/],
+    ['[]', /expected a JSON object/],
+    [{ fields: [] }, /maps no fields/],
+    [{ fields: [{ zoho: 'Email' }] }, /entry 1 needs a "client"/],
+    [{ fields: [{ client: 'a', zoho: 'A' }, { client: 'a', zoho: 'B' }] }, /a is mapped twice/],
+    [{ fields: [{ client: 'a', zoho: 7 }] }, /"zoho" must be a field API name/],
+    [{ fields: [{ client: 'a', zoho: 'A', transform: 'shout' }] }, /unknown transform "shout"/]
+  ];
+  for (const [schema, message] of cases) {
+    assert.throws(() => FieldMapping.parse(schema), error => error instanceof FieldMappingError && message.test(error.message));
+  }
+});
+
+test('write-back covers only fields without one-way transforms, into the first Zoho field', () => {
+  const mapping = new FieldMapping({
+    fields: [
+      { client: 'email', zoho: 'Email', transform: ['trim', 'lowercase'] },
+      { client: 'phone', zoho: ['Mobile', 'Phone'], transform: 'phone' },
+      { client: 'advisor', zoho: 'Owner', transform: 'name' },
+      { client: 'birthday', zoho: 'Date_of_Birth', transform: 'date' },
+      { client: 'country', default: 'Canada' }
+    ]
+  });
+  assert.deepEqual(mapping.syncableFields(), ['email', 'phone']);
+  assert.deepEqual(mapping.toZoho({ email: 'a@b.co', phone: '+1555', advisor: 'Pat', birthday: '1980-02-03', country: 'France' }),
+    { Email: 'a@b.co', Mobile: '+1555' });
+});